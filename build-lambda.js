@@ -7,6 +7,13 @@ const CONFIG = {
   sourceDir: path.join(__dirname),
   buildDir: path.join(__dirname, "build"),
   zipFile: path.join(__dirname, "lambda-tyt-prod.zip"),
+  // Plataforma del runtime de Lambda, no la de la máquina que construye:
+  // LAMBDA_ARCH=arm64 para funciones Graviton.
+  target: {
+    os: "linux",
+    cpu: process.env.LAMBDA_ARCH || "x64",
+    libc: "glibc",
+  },
 };
 
 async function cleanPrevious() {
@@ -59,11 +66,17 @@ async function createPackage() {
       archiver: "^6.0.1",
       "aws-sdk": "^2.1514.0",
       "axios": "^1.6.0",
+      "bmp-js": "^0.1.0",
       "dotenv": "^16.3.0",
       "fs-extra": "^11.2.0",
       "glob": "^10.3.0",
       "googleapis": "^128.0.0",
+      "heic-convert": "^2.1.0",
+      "jszip": "^3.10.2",
+      "pdf-parse": "^1.1.4",
+      "pdfkit": "^0.15.2",
       "readline": "^1.3.0",
+      "sharp": "^0.33.5",
     },
   };
 
@@ -75,10 +88,14 @@ async function createPackage() {
   console.log("✅ package.json creado");
 }
 
+// sharp trae libvips como dependencia opcional por plataforma; sin estos flags
+// npm instala el binario del equipo que construye (macOS, arm64...) y la
+// Lambda falla en require("sharp").
 async function installDeps() {
-  console.log("⬇️  Instalando dependencias...");
+  const { os, cpu, libc } = CONFIG.target;
+  console.log(`⬇️  Instalando dependencias para ${os}-${cpu} (${libc})...`);
 
-  execSync("npm install --production", {
+  execSync(`npm install --omit=dev --include=optional --os=${os} --cpu=${cpu} --libc=${libc}`, {
     cwd: CONFIG.buildDir,
     stdio: "inherit",
   });
@@ -113,6 +130,7 @@ async function showResult() {
   console.log("1. Subir lambda-deployment.zip a AWS Lambda");
   console.log("2. Handler: src/index.handler");
   console.log("3. Runtime: nodejs18.x");
+  console.log(`   Arquitectura: ${CONFIG.target.cpu === "arm64" ? "arm64" : "x86_64"}`);
   console.log("4. Configurar variables de entorno");
 }
 
@@ -1,41 +1,136 @@
 const { cleanupTempFiles } = require("./utils/tempStorage");
-const { downloadDocuments } = require("./services/downloadDocuments");
-const { processDocuments } = require("./services/processDocument");
-const { extractDocumentUrls } = require("./services/extractUrl");
+const { processApplicant } = require("./services/processApplicant");
+const { processBatch } = require("./services/processBatch");
+const {
+  getBatchRecords,
+  validateRequestBody,
+} = require("./services/requestSchema");
+const { AppError, getErrorCode } = require("./utils/errors");
+const {
+  submitJob,
+  runJob,
+  getJobStatus,
+  hasInlineJobsRunning,
+  isJobWorkerEvent,
+} = require("./services/jobs");
+const { createLogger, runWithLogContext } = require("./utils/logger");
+const { putMetric } = require("./utils/metrics");
+
+const log = createLogger("MAIN");
+
+exports.handler = (event, context) =>
+  runWithLogContext({ requestId: context && context.awsRequestId }, () =>
+    handleEvent(event, context)
+  );
+
+async function handleEvent(event, context) {
+  const finished = log.startTimer();
+  const startedAt = Date.now();
 
-exports.handler = async (event, context) => {
   try {
+    if (isJobWorkerEvent(event)) {
+      await runJob(event.jobId);
+      return { jobId: event.jobId };
+    }
+
+    const route = resolveJobRoute(event);
+    if (route && route.action === "status") {
+      const status = await getJobStatus(route.jobId);
+      if (!status) {
+        return formatResponse(404, {
+          error: "trabajo no encontrado",
+          jobId: route.jobId,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      return formatResponse(200, status);
+    }
+
     let requestBody;
     if (typeof event.body === "string") {
-      requestBody = JSON.parse(event.body);
+      try {
+        requestBody = JSON.parse(event.body);
+      } catch (parseError) {
+        return formatResponse(400, {
+          error: "JSON malformado",
+          message: parseError.message,
+          timestamp: new Date().toISOString(),
+        });
+      }
     } else {
       requestBody = event.body || {};
     }
-    const documentsUrl = extractDocumentUrls(requestBody);
-    const downloadedFiles = await downloadDocuments(
-      Object.values(documentsUrl)
-    );
-
-    const result = await processDocuments(
-      requestBody,
-      downloadedFiles,
-      documentsUrl
-    );
+
+    const errores = validateRequestBody(requestBody);
+    if (errores.length > 0) {
+      log.info("Petición rechazada por validación de esquema", {
+        errores: errores.length,
+      });
+      return formatResponse(422, {
+        error: "la peticion no cumple el esquema",
+        errores,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (route && route.action === "submit") {
+      const job = await submitJob(requestBody, context);
+      return formatResponse(202, job);
+    }
+
+    const batchRecords = getBatchRecords(requestBody);
+    if (batchRecords) {
+      const batchResult = await processBatch(batchRecords);
+      return formatResponse(200, batchResult);
+    }
+
+    const result = await processApplicant(requestBody);
     return formatResponse(200, result);
   } catch (error) {
-    console.error("[MAIN] Error:", error.message);
-    console.error("[MAIN] Stack:", error.stack);
+    log.error("Error procesando la petición", { error });
 
-    return formatResponse(400, {
+    return formatResponse(error instanceof AppError ? error.statusCode : 400, {
       error: "la peticion no pudo ser procesada",
+      errorCode: getErrorCode(error),
+      retryable: error instanceof AppError ? error.retryable : false,
       message: error.message,
       timestamp: new Date().toISOString(),
     });
   } finally {
-    cleanupTempFiles();
-    console.log("[MAIN] Proceso finalizado");
+    // Con JOB_RUNNER=inline un trabajo puede seguir usando su directorio
+    // temporal después de responder; cada trabajo limpia el suyo al terminar.
+    if (hasInlineJobsRunning()) {
+      log.info("Limpieza de temporales omitida, hay trabajos en ejecución");
+    } else {
+      cleanupTempFiles();
+    }
+    putMetric("RequestLatency", Date.now() - startedAt, "Milliseconds");
+    finished("Proceso finalizado");
+  }
+}
+
+function resolveJobRoute(event) {
+  const method = (
+    event.httpMethod ||
+    event.requestContext?.http?.method ||
+    ""
+  ).toUpperCase();
+  const routePath = event.rawPath || event.path || "";
+
+  const statusMatch = routePath.match(/\/jobs\/([^/]+)\/?$/);
+  if (method === "GET" && (statusMatch || event.pathParameters?.jobId)) {
+    return {
+      action: "status",
+      jobId: event.pathParameters?.jobId || decodeURIComponent(statusMatch[1]),
+    };
+  }
+
+  if (method === "POST" && /\/jobs\/?$/.test(routePath)) {
+    return { action: "submit" };
   }
-};
+
+  return null;
+}
 
 function formatResponse(statusCode, body) {
   const response = {
@@ -51,6 +146,7 @@ function formatResponse(statusCode, body) {
     body: JSON.stringify(body, null, statusCode >= 400 ? 2 : 0),
   };
 
-  console.log(`[MAIN] Respuesta generada - Status: ${statusCode}`);
+  log.info("Respuesta generada", { statusCode });
+  putMetric("Responses", 1, "Count", { StatusCode: statusCode });
   return response;
 }
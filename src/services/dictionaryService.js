@@ -1,20 +1,24 @@
 const fs = require("fs-extra");
 const path = require("path");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("DICT");
 
 const dictionaryCache = {};
 
 const dictionaryMapping = {
-  soporte_prueba_saberProtyt: "DiccionarioTYT.txt",
   cun_institutions: "DiccionarioCUN.txt"
 };
 
 async function getDictionaryForDocumentType(documentType) {
-  const dictionaryFileName = dictionaryMapping[documentType];
+  const { getDocumentType } = require("./documentTypes");
+  const typeConfig = getDocumentType(documentType);
+  const dictionaryFileName = typeConfig
+    ? typeConfig.dictionary
+    : dictionaryMapping[documentType];
 
   if (!dictionaryFileName) {
-    console.warn(
-      `[DICT] No se encontró mapeo de diccionario para el tipo: ${documentType}`
-    );
+    log.warn(`No se encontró mapeo de diccionario para el tipo: ${documentType}`);
     return [];
   }
   return await loadDictionary(dictionaryFileName);
@@ -0,0 +1,330 @@
+const fs = require("fs-extra");
+const path = require("path");
+const sharp = require("sharp");
+const heicConvert = require("heic-convert");
+const bmp = require("bmp-js");
+const JSZip = require("jszip");
+const PDFDocument = require("pdfkit");
+
+const {
+  AppError,
+  DocumentValidationError,
+  ExtractionError,
+} = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+const { putMetric } = require("../utils/metrics");
+
+const log = createLogger("CONVERSION");
+
+const CONVERSION_CONFIG = {
+  jpegQuality: parseInt(process.env.CONVERSION_JPEG_QUALITY || "90", 10),
+  docxMinChars: parseInt(process.env.CONVERSION_DOCX_MIN_CHARS || "50", 10),
+  docxMaxEntryBytes: parseInt(
+    process.env.CONVERSION_DOCX_MAX_ENTRY_BYTES || String(30 * 1024 * 1024),
+    10
+  ),
+  docxMaxTotalBytes: parseInt(
+    process.env.CONVERSION_DOCX_MAX_TOTAL_BYTES || String(100 * 1024 * 1024),
+    10
+  ),
+};
+
+const TEXTRACT_FORMATS = ["PDF", "PNG", "JPEG", "TIFF"];
+
+const HEIC_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+const FORMAT_EXTENSIONS = {
+  PDF: "pdf",
+  PNG: "png",
+  JPEG: "jpg",
+  TIFF: "tiff",
+};
+
+const DOCX_IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".tif", ".tiff", ".bmp", ".webp"];
+
+function detectFileType(buffer) {
+  const header = buffer.slice(0, 12);
+
+  if (header[0] === 0x25 && header[1] === 0x50 && header[2] === 0x44 && header[3] === 0x46) {
+    return "PDF";
+  }
+  if (header[0] === 0x89 && header[1] === 0x50 && header[2] === 0x4E && header[3] === 0x47) {
+    return "PNG";
+  }
+  if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
+    return "JPEG";
+  }
+  if ((header[0] === 0x49 && header[1] === 0x49) || (header[0] === 0x4D && header[1] === 0x4D)) {
+    return "TIFF";
+  }
+  if (header.toString("latin1", 0, 4) === "RIFF" && header.toString("latin1", 8, 12) === "WEBP") {
+    return "WEBP";
+  }
+  if (header.toString("latin1", 4, 8) === "ftyp" && HEIC_BRANDS.includes(header.toString("latin1", 8, 12))) {
+    return "HEIC";
+  }
+  if (header[0] === 0x42 && header[1] === 0x4D) {
+    return "BMP";
+  }
+  // Los nombres de las entradas de un ZIP van sin comprimir, así que basta
+  // con buscar la carpeta word/ para distinguir un DOCX de otro ZIP.
+  if (header[0] === 0x50 && header[1] === 0x4B && header[2] === 0x03 && header[3] === 0x04 &&
+      buffer.includes("word/")) {
+    return "DOCX";
+  }
+
+  return "UNKNOWN";
+}
+
+async function convertHeic(buffer) {
+  const output = await heicConvert({
+    buffer,
+    format: "JPEG",
+    quality: CONVERSION_CONFIG.jpegQuality / 100,
+  });
+  return { buffer: Buffer.from(output), format: "JPEG" };
+}
+
+async function convertWebp(buffer) {
+  const output = await sharp(buffer)
+    .flatten({ background: "#ffffff" })
+    .jpeg({ quality: CONVERSION_CONFIG.jpegQuality })
+    .toBuffer();
+  return { buffer: output, format: "JPEG" };
+}
+
+async function convertBmp(buffer) {
+  const decoded = bmp.decode(buffer);
+
+  // bmp-js entrega los píxeles en orden ABGR; sharp espera RGB.
+  const rgb = Buffer.alloc(decoded.width * decoded.height * 3);
+  for (let source = 0, target = 0; source < decoded.data.length; source += 4, target += 3) {
+    rgb[target] = decoded.data[source + 3];
+    rgb[target + 1] = decoded.data[source + 2];
+    rgb[target + 2] = decoded.data[source + 1];
+  }
+
+  const output = await sharp(rgb, {
+    raw: { width: decoded.width, height: decoded.height, channels: 3 },
+  })
+    .jpeg({ quality: CONVERSION_CONFIG.jpegQuality })
+    .toBuffer();
+  return { buffer: output, format: "JPEG" };
+}
+
+function extractDocxText(documentXml) {
+  return documentXml
+    .replace(/<w:tab\/>/g, "\t")
+    .replace(/<w:br\/>/g, "\n")
+    .replace(/<\/w:p>/g, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function renderDocxToPdf(text, images) {
+  return new Promise((resolve, reject) => {
+    // pdf-parse rechaza de forma intermitente la tabla xref de los PDF 1.3
+    // que genera pdfkit por defecto; con 1.4 la capa de texto se lee bien.
+    const pdf = new PDFDocument({ size: "A4", margin: 50, pdfVersion: "1.4" });
+    const chunks = [];
+
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    if (text) {
+      pdf.font("Helvetica").fontSize(11).text(text);
+    }
+    // Cada imagen va en su propia página, a todo el ancho útil, para que el
+    // OCR lea el certificado escaneado y no solo el texto que lo acompaña.
+    images.forEach((image, index) => {
+      if (text || index > 0) {
+        pdf.addPage();
+      }
+      pdf.image(image, pdf.page.margins.left, pdf.page.margins.top, {
+        fit: [
+          pdf.page.width - pdf.page.margins.left - pdf.page.margins.right,
+          pdf.page.height - pdf.page.margins.top - pdf.page.margins.bottom,
+        ],
+        align: "center",
+        valign: "center",
+      });
+    });
+    pdf.end();
+  });
+}
+
+// Un DOCX es un ZIP: se revisa el tamaño declarado de cada entrada y del
+// total antes de descomprimir nada, para que un archivo pequeño no pueda
+// inflarse hasta agotar la memoria de la Lambda.
+function assertDocxWithinLimits(zip) {
+  let total = 0;
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir) {
+      continue;
+    }
+    const size = entry._data.uncompressedSize;
+    if (size > CONVERSION_CONFIG.docxMaxEntryBytes) {
+      throw new DocumentValidationError(
+        "DOCUMENT_TOO_LARGE",
+        `${entry.name} ocupa ${size} bytes descomprimido`
+      );
+    }
+    total += size;
+  }
+  if (total > CONVERSION_CONFIG.docxMaxTotalBytes) {
+    throw new DocumentValidationError(
+      "DOCUMENT_TOO_LARGE",
+      `El documento Word ocupa ${total} bytes descomprimido`
+    );
+  }
+}
+
+// El tamaño declarado lo escribe quien arma el ZIP; al leer se cuentan los
+// bytes reales y se corta si superan el mismo límite.
+function readDocxEntry(entry) {
+  return new Promise((resolve, reject) => {
+    const stream = entry.nodeStream("nodebuffer");
+    const chunks = [];
+    let bytes = 0;
+
+    stream.on("data", (chunk) => {
+      bytes += chunk.length;
+      if (bytes > CONVERSION_CONFIG.docxMaxEntryBytes) {
+        stream.pause();
+        stream.removeAllListeners("data");
+        reject(
+          new DocumentValidationError(
+            "DOCUMENT_TOO_LARGE",
+            `${entry.name} supera ${CONVERSION_CONFIG.docxMaxEntryBytes} bytes descomprimido`
+          )
+        );
+        return;
+      }
+      chunks.push(chunk);
+    });
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+}
+
+async function readDocxImages(zip) {
+  const entries = Object.values(zip.files)
+    .filter(
+      (entry) =>
+        !entry.dir &&
+        entry.name.startsWith("word/media/") &&
+        DOCX_IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+    )
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+  const images = [];
+  for (const entry of entries) {
+    const converted = await convertBuffer(await readDocxEntry(entry));
+    if (converted && (converted.format === "JPEG" || converted.format === "PNG")) {
+      images.push(converted);
+    } else if (converted && converted.format === "TIFF") {
+      images.push({
+        buffer: await sharp(converted.buffer)
+          .jpeg({ quality: CONVERSION_CONFIG.jpegQuality })
+          .toBuffer(),
+        format: "JPEG",
+      });
+    }
+  }
+  return images;
+}
+
+async function convertDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  assertDocxWithinLimits(zip);
+
+  const documentEntry = zip.file("word/document.xml");
+  const text = documentEntry
+    ? extractDocxText((await readDocxEntry(documentEntry)).toString("utf8"))
+    : "";
+  const images = await readDocxImages(zip);
+
+  // Un Word que solo envuelve una foto o un escaneo se procesa como esa
+  // imagen, así pasa por el control de calidad; en cualquier otro caso el
+  // texto y todas las imágenes se combinan en un PDF.
+  if (text.length < CONVERSION_CONFIG.docxMinChars && images.length === 1) {
+    return images[0];
+  }
+
+  if (!text && images.length === 0) {
+    throw new ExtractionError("NO_TEXT_EXTRACTED", "El documento Word no contiene texto ni imágenes");
+  }
+  return {
+    buffer: await renderDocxToPdf(text, images.map((image) => image.buffer)),
+    format: "PDF",
+  };
+}
+
+const CONVERTERS = {
+  HEIC: convertHeic,
+  WEBP: convertWebp,
+  BMP: convertBmp,
+  DOCX: convertDocx,
+};
+
+async function convertBuffer(buffer) {
+  const format = detectFileType(buffer);
+  if (TEXTRACT_FORMATS.includes(format)) {
+    return { buffer, format };
+  }
+  if (!CONVERTERS[format]) {
+    return null;
+  }
+  return CONVERTERS[format](buffer);
+}
+
+async function prepareDocumentForExtraction(filePath) {
+  const buffer = await fs.readFile(filePath);
+  const originalFormat = detectFileType(buffer);
+
+  if (!CONVERTERS[originalFormat]) {
+    return { path: filePath, originalFormat };
+  }
+
+  const finished = log.startTimer();
+  try {
+    const converted = await CONVERTERS[originalFormat](buffer);
+    const parsed = path.parse(filePath);
+    const convertedPath = path.join(
+      parsed.dir,
+      `${parsed.name}.convertido.${FORMAT_EXTENSIONS[converted.format]}`
+    );
+    await fs.writeFile(convertedPath, converted.buffer);
+
+    putMetric("DocumentConversion", 1, "Count", {
+      From: originalFormat,
+      To: converted.format,
+    });
+    finished(`Documento ${originalFormat} convertido a ${converted.format}`, {
+      fileName: parsed.base,
+      bytes: converted.buffer.length,
+    });
+    return { path: convertedPath, originalFormat, convertedTo: converted.format };
+  } catch (error) {
+    log.error(`Error convirtiendo documento ${originalFormat}`, { error });
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new ExtractionError("CONVERSION_ERROR", `${originalFormat}: ${error.message}`, {
+      cause: error,
+    });
+  }
+}
+
+module.exports = {
+  detectFileType,
+  prepareDocumentForExtraction,
+};
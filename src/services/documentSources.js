@@ -0,0 +1,479 @@
+const AWS = require("aws-sdk");
+const axios = require("axios");
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs-extra");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+
+const { DependencyError, DownloadError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+const { withResilience } = require("../utils/resilience");
+
+const log = createLogger("SOURCES");
+
+const s3 = new AWS.S3({ maxRetries: 0 });
+
+const DOWNLOAD_LIMITS = {
+  maxBytes: parseInt(process.env.MAX_DOWNLOAD_BYTES || String(50 * 1024 * 1024), 10),
+  maxFileNameLength: 150,
+};
+
+// Sin listas configuradas no se aceptan orígenes s3:// ni https://: la Lambda
+// no debe leer cualquier objeto o URL que un cliente le indique.
+const SOURCE_ALLOWLIST = {
+  s3Buckets: parseList(process.env.ALLOWED_S3_BUCKETS),
+  httpsHosts: parseList(process.env.ALLOWED_HTTPS_HOSTS),
+  maxRedirects: parseInt(process.env.HTTPS_MAX_REDIRECTS || "5", 10),
+};
+
+const MIME_EXTENSIONS = {
+  "application/pdf": "pdf",
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/jpg": "jpg",
+  "image/tiff": "tiff",
+  "image/heic": "heic",
+  "image/heif": "heic",
+  "image/webp": "webp",
+  "image/bmp": "bmp",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "docx",
+};
+
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function isHostAllowed(hostname) {
+  const host = hostname.toLowerCase();
+  return SOURCE_ALLOWLIST.httpsHosts.some((allowed) =>
+    allowed.startsWith("*.")
+      ? host.endsWith(allowed.substring(1))
+      : host === allowed
+  );
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv6(address)) {
+    const normalized = address.toLowerCase();
+    const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      return isPrivateAddress(mapped[1]);
+    }
+    return (
+      normalized === "::" ||
+      normalized === "::1" ||
+      /^f[cd]/.test(normalized) ||
+      /^fe[89ab]/.test(normalized)
+    );
+  }
+
+  const [a, b] = address.split(".").map((part) => parseInt(part, 10));
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    a >= 224
+  );
+}
+
+// Se valida la IP al conectar, no antes, para que un DNS que cambie de
+// respuesta entre la validación y la conexión no apunte a la red interna.
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      callback(
+        new DownloadError(
+          "SOURCE_NOT_ALLOWED",
+          `${hostname} resuelve a una dirección privada (${blocked.address})`
+        )
+      );
+      return;
+    }
+    callback(null, address, family);
+  });
+}
+
+const publicHttpsAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+function assertHttpsUrlAllowed(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new DownloadError("INVALID_URL", `No se pudo interpretar la URL ${url}`);
+  }
+
+  if (parsed.protocol !== "https:") {
+    throw new DownloadError("SOURCE_NOT_ALLOWED", `Solo se permiten URLs https:// (${parsed.protocol})`);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw new DownloadError("SOURCE_NOT_ALLOWED", `Dirección privada no permitida: ${hostname}`);
+  }
+  if (!isHostAllowed(hostname)) {
+    throw new DownloadError("SOURCE_NOT_ALLOWED", `El host ${hostname} no está en ALLOWED_HTTPS_HOSTS`);
+  }
+  return parsed.toString();
+}
+
+function detectSourceType(value) {
+  if (value && typeof value === "object") {
+    const payload = value.base64 || value.content;
+    return typeof payload === "string" && payload.length > 0 ? "base64" : null;
+  }
+
+  if (!value || typeof value !== "string") {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.includes("drive.google.com") || trimmed.includes("docs.google.com")) {
+    return "drive";
+  }
+  if (/^s3:\/\/[^/]+\/.+/i.test(trimmed)) {
+    return "s3";
+  }
+  if (/^data:[^;,]+;base64,/i.test(trimmed)) {
+    return "base64";
+  }
+  if (/^https:\/\/[^\s]+$/i.test(trimmed)) {
+    return "https";
+  }
+  return null;
+}
+
+function parseS3Url(url) {
+  const match = url.trim().match(/^s3:\/\/([^/]+)\/(.+)$/i);
+  if (!match) {
+    throw new DownloadError("INVALID_URL", `No se pudo interpretar la URL ${url}`);
+  }
+  return {
+    bucket: match[1],
+    key: decodeURIComponent(match[2]),
+  };
+}
+
+// Los IDs de Drive solo usan letras, dígitos, "-" y "_"; lo demás (como
+// "?usp=sharing") no forma parte del ID.
+function extractFolderIdFromUrl(url) {
+  const match = url.match(/\/drive\/(?:u\/\d+\/)?folders\/([A-Za-z0-9_-]+)/);
+  return match ? match[1] : null;
+}
+
+function extractFileIdFromUrl(url) {
+  const regexPatterns = [
+    /\/file\/d\/([A-Za-z0-9_-]+)/,
+    /[?&]id=([A-Za-z0-9_-]+)/,
+    /\/d\/([A-Za-z0-9_-]+)/,
+  ];
+
+  for (const regex of regexPatterns) {
+    const match = url.match(regex);
+    if (match && match[1]) {
+      return match[1];
+    }
+  }
+
+  throw new DownloadError("INVALID_URL", `No se pudo extraer el File ID de la URL: ${url}`);
+}
+
+async function downloadFromS3(url, tempDir) {
+  const { bucket, key } = parseS3Url(url);
+  if (!SOURCE_ALLOWLIST.s3Buckets.includes(bucket.toLowerCase())) {
+    throw new DownloadError(
+      "SOURCE_NOT_ALLOWED",
+      `El bucket ${bucket} no está en ALLOWED_S3_BUCKETS`
+    );
+  }
+  log.info(`Descargando s3://${bucket}/${key}`);
+
+  try {
+    const filePath = await resolveUniquePath(tempDir, path.basename(key));
+    await withResilience("s3", (signal) => {
+      const request = s3.getObject({ Bucket: bucket, Key: key });
+      signal.addEventListener("abort", () => request.abort(), { once: true });
+      return writeStreamToFile(request.createReadStream(), filePath, { signal });
+    });
+    return { path: filePath };
+  } catch (error) {
+    log.error(`Error descargando s3://${bucket}/${key}`, { error });
+
+    if (error instanceof DownloadError || error instanceof DependencyError) {
+      throw error;
+    }
+
+    if (error.code === "AccessDenied" || error.statusCode === 403) {
+      throw new DownloadError(
+        "PERMISSION_DENIED",
+        `No tienes permisos para acceder a s3://${bucket}/${key}`
+      );
+    }
+
+    if (error.code === "NoSuchKey" || error.statusCode === 404) {
+      throw new DownloadError(
+        "FILE_NOT_FOUND",
+        `El objeto s3://${bucket}/${key} no existe`
+      );
+    }
+
+    throw new DownloadError("DOWNLOAD_ERROR", `S3: ${error.message}`, {
+      retryable: error.retryable !== false,
+      cause: error,
+    });
+  }
+}
+
+async function requestAllowedUrl(url) {
+  let currentUrl = url;
+
+  // Las redirecciones se siguen a mano para validar cada destino con las
+  // mismas reglas que la URL original.
+  for (let redirects = 0; ; redirects++) {
+    const response = await axios.get(assertHttpsUrlAllowed(currentUrl), {
+      responseType: "stream",
+      timeout: 60000,
+      maxRedirects: 0,
+      httpsAgent: publicHttpsAgent,
+      validateStatus: (status) => status >= 200 && status < 400,
+    });
+
+    if (response.status < 300) {
+      return response;
+    }
+
+    response.data.destroy();
+    if (!response.headers.location) {
+      throw new DownloadError("DOWNLOAD_ERROR", `Redirección sin destino desde ${currentUrl}`);
+    }
+    if (redirects >= SOURCE_ALLOWLIST.maxRedirects) {
+      throw new DownloadError("DOWNLOAD_ERROR", `Demasiadas redirecciones desde ${url}`, {
+        retryable: false,
+      });
+    }
+    currentUrl = new URL(response.headers.location, currentUrl).toString();
+    log.info(`Siguiendo redirección a ${currentUrl}`);
+  }
+}
+
+async function downloadFromHttps(url, tempDir) {
+  log.info(`Descargando ${url}`);
+
+  try {
+    const response = await requestAllowedUrl(url.trim());
+
+    const fileName =
+      getFileNameFromContentDisposition(response.headers["content-disposition"]) ||
+      getFileNameFromUrl(url) ||
+      `documento.${MIME_EXTENSIONS[response.headers["content-type"]] || "pdf"}`;
+
+    const filePath = await resolveUniquePath(tempDir, fileName);
+    await writeStreamToFile(response.data, filePath);
+    return { path: filePath };
+  } catch (error) {
+    log.error(`Error descargando ${url}`, { error });
+    if (error instanceof DownloadError) {
+      throw error;
+    }
+    if (error.cause instanceof DownloadError) {
+      throw error.cause;
+    }
+    const status = error.response && error.response.status;
+
+    if (status === 401 || status === 403) {
+      throw new DownloadError("PERMISSION_DENIED", `Acceso denegado a ${url}`);
+    }
+
+    if (status === 404) {
+      throw new DownloadError("FILE_NOT_FOUND", `El recurso ${url} no existe`);
+    }
+
+    throw new DownloadError("DOWNLOAD_ERROR", `HTTPS: ${error.message}`, {
+      retryable: !status || status >= 500 || status === 429,
+      cause: error,
+    });
+  }
+}
+
+async function saveBase64Payload(value, tempDir) {
+  let mimeType = null;
+  let payload;
+  let fileName = null;
+
+  if (typeof value === "string") {
+    const match = value.trim().match(/^data:([^;,]+);base64,([\s\S]*)$/i);
+    if (!match) {
+      throw new DownloadError("INVALID_BASE64_PAYLOAD", "Formato data URI no válido");
+    }
+    mimeType = match[1].toLowerCase();
+    payload = match[2];
+  } else {
+    mimeType = value.mimeType ? String(value.mimeType).toLowerCase() : null;
+    payload = value.base64 || value.content;
+    fileName = value.fileName || null;
+  }
+
+  const buffer = Buffer.from(payload.replace(/\s/g, ""), "base64");
+  if (buffer.length === 0) {
+    throw new DownloadError("INVALID_BASE64_PAYLOAD", "El contenido está vacío");
+  }
+  if (buffer.length > DOWNLOAD_LIMITS.maxBytes) {
+    throw new DownloadError(
+      "DOCUMENT_TOO_LARGE",
+      `El contenido supera el límite de ${DOWNLOAD_LIMITS.maxBytes} bytes`
+    );
+  }
+
+  const filePath = await resolveUniquePath(
+    tempDir,
+    fileName ? path.basename(fileName) : `documento.${MIME_EXTENSIONS[mimeType] || "pdf"}`
+  );
+  await fs.writeFile(filePath, buffer);
+
+  log.info(`Documento inline guardado: ${path.basename(filePath)}`);
+  return { path: filePath };
+}
+
+function getFileNameFromContentDisposition(header) {
+  if (!header) {
+    return null;
+  }
+  const match = header.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+  return match ? path.basename(decodeURIComponent(match[1])) : null;
+}
+
+function getFileNameFromUrl(url) {
+  try {
+    const name = path.basename(new URL(url.trim()).pathname);
+    return name && name.includes(".") ? decodeURIComponent(name) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function sanitizeFileName(fileName, fallback = "documento") {
+  const cleaned = String(fileName || "")
+    .replace(/[\/\\]/g, "_")
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .replace(/^[.\s]+/, "")
+    .trim();
+
+  if (!cleaned) {
+    return fallback;
+  }
+
+  const parsed = path.parse(cleaned);
+  const maxNameLength = DOWNLOAD_LIMITS.maxFileNameLength - parsed.ext.length;
+  return `${parsed.name.substring(0, Math.max(maxNameLength, 1))}${parsed.ext}`;
+}
+
+async function resolveUniquePath(tempDir, fileName) {
+  const safeName = sanitizeFileName(fileName);
+  const parsed = path.parse(safeName);
+  let candidate = path.join(tempDir, safeName);
+  let counter = 1;
+
+  while (await fs.pathExists(candidate)) {
+    candidate = path.join(tempDir, `${parsed.name}-${counter}${parsed.ext}`);
+    counter++;
+  }
+  return candidate;
+}
+
+// Cada llamada escribe en su propio archivo parcial y solo lo renombra al
+// terminar: un intento cancelado por plazo no puede mezclar sus bytes con los
+// del reintento que escribe el mismo destino.
+function writeStreamToFile(stream, filePath, options = {}) {
+  const maxBytes = options.maxBytes || DOWNLOAD_LIMITS.maxBytes;
+  const { signal } = options;
+  const partialPath = `${filePath}.${crypto.randomBytes(4).toString("hex")}.parcial`;
+  const writer = fs.createWriteStream(partialPath);
+  let bytes = 0;
+  let settled = false;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () =>
+      fail(signal.reason || new DownloadError("DOWNLOAD_ERROR", "Descarga cancelada"));
+    const settle = () => {
+      settled = true;
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+    };
+    const fail = (error) => {
+      if (settled) {
+        return;
+      }
+      settle();
+      stream.unpipe(writer);
+      stream.destroy();
+      writer.destroy();
+      fs.remove(partialPath).catch(() => {});
+      reject(error);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    stream.on("error", fail);
+    writer.on("error", fail);
+    stream.on("data", (chunk) => {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        fail(
+          new DownloadError(
+            "DOCUMENT_TOO_LARGE",
+            `La descarga supera el límite de ${maxBytes} bytes`
+          )
+        );
+      }
+    });
+    writer.on("finish", () => {
+      if (settled) {
+        return;
+      }
+      settle();
+      fs.move(partialPath, filePath, { overwrite: true }).then(
+        () => resolve(filePath),
+        (error) => {
+          fs.remove(partialPath).catch(() => {});
+          reject(error);
+        }
+      );
+    });
+    stream.pipe(writer);
+  });
+}
+
+module.exports = {
+  DOWNLOAD_LIMITS,
+  detectSourceType,
+  extractFileIdFromUrl,
+  extractFolderIdFromUrl,
+  downloadFromS3,
+  downloadFromHttps,
+  saveBase64Payload,
+  sanitizeFileName,
+  resolveUniquePath,
+  writeStreamToFile,
+};
@@ -0,0 +1,123 @@
+const {
+  extractDataTyT,
+  extractDataCedula,
+} = require("./extractDataDocuments");
+const {
+  validateDataTyT,
+  validateDataCedula,
+} = require("./validateDataDocuments");
+
+const DOCUMENT_TYPES = {
+  soporte_prueba_saberProtyt: {
+    inputField: "Soporte_prueba_saber_ProTyt",
+    outputField: "SaberProTyT",
+    dictionary: "DiccionarioTYT.txt",
+    features: ["FORMS", "TABLES"],
+    structured: true,
+    required: true,
+    extractor: extractDataTyT,
+    outputFields: {
+      registroEK: "EK",
+      numDocumento: "Num_Documento_Extraido",
+      fechaPresentacion: "Fecha_Presentacion_Extraida",
+      programa: "Programa_Extraido",
+      institucion: "Institucion_Extraida",
+      nombre: "Nombre_Extraido",
+      puntajes: "Puntajes",
+    },
+    validationFields: [
+      "Institucion_Valida",
+      "NivelFormacion_Valido",
+      "Nombre_Valido",
+      "Nombre_Similitud",
+      "Fecha_Presentacion_ISO",
+      "Fecha_Valida",
+      "Fecha_Valida_Motivo",
+    ],
+    validator: validateDataTyT,
+  },
+  cedula: {
+    inputField: "Soporte_Cedula",
+    outputField: "Cedula",
+    dictionary: "DiccionarioCedula.txt",
+    features: ["FORMS", "SIGNATURES"],
+    structured: true,
+    extractor: extractDataCedula,
+    outputFields: {
+      numDocumento: "Cedula_Num_Extraido",
+      nombre: "Cedula_Nombre_Extraido",
+      fechaNacimiento: "Cedula_Fecha_Nacimiento",
+      fechaExpedicion: "Cedula_Fecha_Expedicion",
+    },
+    validationFields: ["Cedula_Num_Valido"],
+    validator: validateDataCedula,
+  },
+  diploma_bachiller: {
+    inputField: "Soporte_Diploma_Bachiller",
+    outputField: "DiplomaBachiller",
+    dictionary: "DiccionarioDiplomas.txt",
+    features: ["FORMS", "TABLES"],
+  },
+  diploma_tecnico: {
+    inputField: "Soporte_Diploma_Tecnico",
+    outputField: "DiplomaTecnico",
+    dictionary: "DiccionarioDiplomas.txt",
+    features: ["FORMS", "TABLES"],
+  },
+  diploma_tecnologo: {
+    inputField: "Soporte_Diploma_Tecnologo",
+    outputField: "DiplomaTecnologo",
+    dictionary: "DiccionarioDiplomas.txt",
+    features: ["FORMS", "TABLES"],
+  },
+  titulo_profesional: {
+    inputField: "Soporte_Titulo_Profesional",
+    outputField: "TituloProfesional",
+    dictionary: "DiccionarioDiplomas.txt",
+    features: ["FORMS", "TABLES"],
+  },
+  prueba_tt: {
+    inputField: "Soporte_Prueba_TT",
+    outputField: "PruebaTT",
+    dictionary: "DiccionarioTYT.txt",
+    features: ["FORMS", "TABLES", "LAYOUT"],
+  },
+  icfes: {
+    inputField: "Soporte_Icfes",
+    outputField: "Icfes",
+    dictionary: "DiccionarioIcfes.txt",
+    features: ["FORMS", "TABLES", "LAYOUT"],
+  },
+  recibo_pago: {
+    inputField: "Soporte_Recibo_Pago",
+    outputField: "ReciboPago",
+    dictionary: "DiccionarioReciboPago.txt",
+    features: ["FORMS", "TABLES"],
+  },
+  encuesta_m0: {
+    inputField: "Soporte_Encuesta_M0",
+    outputField: "EncuestaM0",
+    dictionary: "DiccionarioEncuestaM0.txt",
+    features: ["FORMS"],
+  },
+  acta_homologacion: {
+    inputField: "Soporte_Acta_Homologacion",
+    outputField: "ActaHomologacion",
+    dictionary: "DiccionarioActaHomologacion.txt",
+    features: ["FORMS", "TABLES"],
+  },
+};
+
+function getDocumentType(documentType) {
+  return DOCUMENT_TYPES[documentType] || null;
+}
+
+function getDocumentTypeKeys() {
+  return Object.keys(DOCUMENT_TYPES);
+}
+
+module.exports = {
+  DOCUMENT_TYPES,
+  getDocumentType,
+  getDocumentTypeKeys,
+};
@@ -3,103 +3,373 @@ const fs = require("fs-extra");
 const path = require("path");
 
 const { createTempDirectory } = require("../utils/tempStorage");
+const {
+  AppError,
+  AuthError,
+  DependencyError,
+  DownloadError,
+} = require("../utils/errors");
 const { googleAuth } = require("./googleAuth");
+const { buildDriveCacheKey, getCachedResult } = require("./resultCache");
+const {
+  detectSourceType,
+  extractFileIdFromUrl,
+  extractFolderIdFromUrl,
+  downloadFromS3,
+  downloadFromHttps,
+  saveBase64Payload,
+  sanitizeFileName,
+  resolveUniquePath,
+  writeStreamToFile,
+  DOWNLOAD_LIMITS,
+} = require("./documentSources");
+const { createLogger } = require("../utils/logger");
+const { putMetrics } = require("../utils/metrics");
+const { withResilience } = require("../utils/resilience");
 
-async function downloadDocuments(urls) {
-  const tempDir = await createTempDirectory();
+const log = createLogger("DOWNLOAD");
+
+const DRIVE_SUPPORTED_MIME_TYPES = [
+  "application/pdf",
+  "image/png",
+  "image/jpeg",
+  "image/tiff",
+  "image/heic",
+  "image/heif",
+  "image/webp",
+  "image/bmp",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "image/jpg",
+  "image/pjpeg",
+  "image/x-png",
+  "image/x-ms-bmp",
+  "image/x-bmp",
+];
+
+// Drive guarda el tipo que declaró quien subió el archivo; cuando es genérico
+// se descarga igual y el formato real se detecta por el contenido.
+const DRIVE_GENERIC_MIME_TYPES = [
+  "application/octet-stream",
+  "binary/octet-stream",
+  "application/x-download",
+  "application/unknown",
+];
+
+const DRIVE_FOLDER_CONFIG = {
+  maxFiles: parseInt(process.env.DRIVE_FOLDER_MAX_FILES || "10", 10),
+};
+
+// googleapis reintenta por defecto con gaxios; los reintentos y el circuito
+// los maneja withResilience, así que cada petición va sin reintentos propios.
+const DRIVE_REQUEST_OPTIONS = { retry: false };
+
+const GOOGLE_WORKSPACE_EXPORTS = {
+  "application/vnd.google-apps.document": "application/pdf",
+  "application/vnd.google-apps.presentation": "application/pdf",
+  "application/vnd.google-apps.spreadsheet": "application/pdf",
+  "application/vnd.google-apps.drawing": "application/pdf",
+};
+
+async function downloadDocuments(documentUrls, options = {}) {
+  const tempDir = options.tempDir || (await createTempDirectory());
   const downloadedFiles = [];
 
-  const googleCredentials = await googleAuth();
+  const sourceAdapters = {
+    drive: downloadFromDrive,
+    s3: downloadFromS3,
+    https: downloadFromHttps,
+    base64: saveBase64Payload,
+  };
 
-  for (const url of urls) {
-    const fileId = extractFileIdFromUrl(url);
+  for (const [docType, url] of Object.entries(documentUrls)) {
+    const sourceType = detectSourceType(url);
+    const adapter = sourceAdapters[sourceType];
+    if (!adapter) {
+      log.info(`Origen de documento no soportado para ${docType}`);
+      continue;
+    }
 
-    const oauth2Client = new google.auth.OAuth2(
-      googleCredentials.client_id,
-      googleCredentials.client_secret
-    );
-    if (googleCredentials.access_token) {
-      oauth2Client.setCredentials({
-        access_token: googleCredentials.access_token,
-        refresh_token: googleCredentials.refresh_token,
+    let downloaded;
+    try {
+      downloaded = await adapter(url, tempDir, {
+        docType,
+        forceRefresh: Boolean(options.forceRefresh),
       });
+    } catch (error) {
+      if (
+        !(
+          error instanceof DownloadError ||
+          error instanceof DependencyError ||
+          error instanceof AuthError
+        )
+      ) {
+        throw error;
+      }
+      log.error(`Error descargando documento ${docType || ""}`, { error });
+      downloadedFiles.push({ docType, originalUrl: url, source: sourceType, error });
+      continue;
+    }
+    if (!downloaded) {
+      continue;
+    }
 
-      const filePath = await downloadFileFromDrive(fileId, tempDir, oauth2Client);
-
-      const stats = await fs.stat(filePath);
-      
+    if (downloaded.candidates) {
       downloadedFiles.push({
+        docType,
         originalUrl: url,
-        fileId,
-        path: filePath,
-        fileName: path.basename(filePath),
-        size: stats.size
+        source: sourceType,
+        ...downloaded,
       });
-    } else {
-      console.log(`[DRIVE] No hay access_token en las credenciales`);
+      continue;
     }
+
+    downloadedFiles.push({
+      docType,
+      originalUrl: url,
+      source: sourceType,
+      ...(await describeDownload(downloaded)),
+    });
   }
 
   return downloadedFiles;
 }
 
-async function downloadFileFromDrive(fileId, tempDir, oauth2Client) {
-  try {
-    const drive = google.drive({ version: "v3", auth: oauth2Client });
-    const fileMetadata = await drive.files.get({
-      fileId: fileId,
-      fields: "name,mimeType,size",
-    });
+async function describeDownload(downloaded) {
+  if (downloaded.cachedResult) {
+    return downloaded;
+  }
 
-    const fileName = fileMetadata.data.name || `${fileId}.pdf`;
-    const filePath = path.join(tempDir, fileName);
-    const response = await drive.files.get(
+  const stats = await fs.stat(downloaded.path);
+  return {
+    ...downloaded,
+    fileName: path.basename(downloaded.path),
+    size: stats.size,
+  };
+}
+
+async function downloadFromDrive(url, tempDir, downloadOptions = {}) {
+  const authClient = await googleAuth();
+
+  const folderId = extractFolderIdFromUrl(url);
+  if (folderId) {
+    return downloadFolderFromDrive(
+      folderId,
+      tempDir,
+      authClient,
+      downloadOptions
+    );
+  }
+
+  const fileId = extractFileIdFromUrl(url);
+  const downloaded = await downloadFileFromDrive(
+    fileId,
+    tempDir,
+    authClient,
+    downloadOptions
+  );
+  return { fileId, ...downloaded };
+}
+
+async function downloadFolderFromDrive(folderId, tempDir, authClient, options = {}) {
+  // El ID va dentro de la consulta q de Drive: solo se aceptan los caracteres
+  // de un ID real para que no pueda cerrar la comilla y cambiar el filtro.
+  if (!/^[A-Za-z0-9_-]+$/.test(folderId)) {
+    throw new DownloadError("INVALID_URL", `ID de carpeta de Drive no válido: ${folderId}`);
+  }
+
+  let files;
+  try {
+    const drive = google.drive({ version: "v3", auth: authClient });
+    const response = await withResilience("drive", (signal) => drive.files.list(
       {
-        fileId: fileId,
-        alt: "media",
+        q: `'${folderId}' in parents and trashed = false`,
+        fields: "files(id,name,mimeType,size)",
+        orderBy: "modifiedTime desc",
+        pageSize: 100,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
       },
-      { responseType: "stream" }
+      { ...DRIVE_REQUEST_OPTIONS, signal }
+    ));
+    files = response.data.files || [];
+  } catch (error) {
+    log.error(`Error listando carpeta ${folderId}`, { error });
+    throw toDriveDownloadError(error, folderId);
+  }
+
+  const supported = files
+    .filter((file) => isDownloadableMimeType(file.mimeType))
+    .slice(0, DRIVE_FOLDER_CONFIG.maxFiles);
+
+  log.info(`Carpeta ${folderId}: ${supported.length} de ${files.length} archivo(s) soportados`);
+
+  if (supported.length === 0) {
+    throw new DownloadError(
+      "FOLDER_WITHOUT_DOCUMENTS",
+      `La carpeta ${folderId} no contiene archivos soportados`
     );
+  }
 
-    const writer = fs.createWriteStream(filePath);
-    return new Promise((resolve, reject) => {
-      response.data.on("error", reject);
-      writer.on("error", reject);
-      writer.on("finish", () => {
-        resolve(filePath);
-      });
-      response.data.pipe(writer);
-    });
-  } catch (error) {
-    console.error(`[DRIVE-AUTH] Error descargando ${fileId}:`, error.message);
+  // Cada candidato se descarga cuando se va a evaluar: así en /tmp solo
+  // conviven el mejor hasta el momento y el que se está revisando.
+  const candidates = supported.map((file) => ({
+    fileId: file.id,
+    fileName: sanitizeFileName(file.name, file.id),
+    size: parseInt(file.size || "0", 10),
+    download: async () => {
+      const downloaded = await downloadFileFromDrive(
+        file.id,
+        tempDir,
+        authClient,
+        options
+      );
+      return describeDownload({ fileId: file.id, ...downloaded });
+    },
+  }));
+
+  return { folderId, candidates };
+}
 
-    if (error.code === 403) {
-      throw new Error(
-        `PERMISSION_DENIED: No tienes permisos para acceder al archivo ${fileId}`
+async function downloadFileFromDrive(fileId, tempDir, authClient, options = {}) {
+  try {
+    const drive = google.drive({ version: "v3", auth: authClient });
+    const fileMetadata = await withResilience("drive", (signal) =>
+      drive.files.get(
+        {
+          fileId: fileId,
+          fields: "name,mimeType,size,md5Checksum,modifiedTime",
+          supportsAllDrives: true,
+        },
+        { ...DRIVE_REQUEST_OPTIONS, signal }
+      )
+    );
+
+    const { mimeType } = fileMetadata.data;
+    const declaredSize = parseInt(fileMetadata.data.size || "0", 10);
+    const exportMimeType = GOOGLE_WORKSPACE_EXPORTS[mimeType];
+    if (!isDownloadableMimeType(mimeType)) {
+      throw new DownloadError(
+        "UNSUPPORTED_FILE_TYPE",
+        `${mimeType} no es un tipo de archivo soportado (${fileId})`
       );
     }
 
-    if (error.code === 404) {
-      throw new Error(
-        `FILE_NOT_FOUND: El archivo ${fileId} no existe o no es accesible`
+    if (declaredSize > DOWNLOAD_LIMITS.maxBytes) {
+      throw new DownloadError(
+        "DOCUMENT_TOO_LARGE",
+        `El archivo ${fileId} pesa ${declaredSize} bytes, máximo ${DOWNLOAD_LIMITS.maxBytes}`
       );
     }
 
-    throw new Error(`AUTH_DOWNLOAD_ERROR: ${error.message}`);
+    const driveName = sanitizeFileName(fileMetadata.data.name, fileId);
+    const fileName = exportMimeType
+      ? `${path.parse(driveName).name}.pdf`
+      : driveName;
+    const revision =
+      fileMetadata.data.md5Checksum || fileMetadata.data.modifiedTime;
+    const cacheKey =
+      revision && options.docType
+        ? buildDriveCacheKey(fileId, revision, options.docType)
+        : null;
+
+    if (cacheKey && !options.forceRefresh) {
+      const cachedResult = await getCachedResult(cacheKey);
+      if (cachedResult) {
+        log.info(`Resultado en caché para ${fileId}, se omite la descarga`);
+        return {
+          path: null,
+          fileName,
+          size: declaredSize,
+          cacheKey,
+          cachedResult,
+        };
+      }
+    }
+
+    const filePath = await resolveUniquePath(tempDir, fileName);
+    const startedAt = Date.now();
+    if (exportMimeType) {
+      log.info(`Exportando archivo de Google Workspace ${fileId} a PDF`, {
+        mimeType,
+      });
+    }
+    // El plazo cubre también la lectura del cuerpo: un stream detenido se
+    // aborta y el reintento escribe en un archivo parcial propio.
+    await withResilience("drive", async (signal) => {
+      // files.export no recibe supportsAllDrives; le basta con que files.get
+      // haya resuelto el archivo en la unidad compartida.
+      const response = exportMimeType
+        ? await drive.files.export(
+          {
+            fileId: fileId,
+            mimeType: exportMimeType,
+          },
+          { ...DRIVE_REQUEST_OPTIONS, responseType: "stream", signal }
+        )
+        : await drive.files.get(
+          {
+            fileId: fileId,
+            alt: "media",
+            supportsAllDrives: true,
+          },
+          { ...DRIVE_REQUEST_OPTIONS, responseType: "stream", signal }
+        );
+      await writeStreamToFile(response.data, filePath, { signal });
+    });
+    const { size } = await fs.stat(filePath);
+
+    putMetrics([
+      {
+        name: "DriveDownloadLatency",
+        value: Date.now() - startedAt,
+        unit: "Milliseconds",
+      },
+      { name: "DriveDownloadBytes", value: size, unit: "Bytes" },
+    ]);
+
+    return {
+      path: filePath,
+      cacheKey,
+      ...(exportMimeType && { exportedFrom: mimeType }),
+    };
+  } catch (error) {
+    log.error(`Error descargando ${fileId}`, { error });
+    throw toDriveDownloadError(error, fileId);
   }
 }
 
-function extractFileIdFromUrl(url) {
-  const regexPatterns = [/\/file\/d\/([^/]+)/, /id=([^&]+)/, /\/d\/([^/]+)/];
+function isDownloadableMimeType(mimeType) {
+  return (
+    !mimeType ||
+    DRIVE_SUPPORTED_MIME_TYPES.includes(mimeType) ||
+    DRIVE_GENERIC_MIME_TYPES.includes(mimeType) ||
+    Boolean(GOOGLE_WORKSPACE_EXPORTS[mimeType])
+  );
+}
 
-  for (const regex of regexPatterns) {
-    const match = url.match(regex);
-    if (match && match[1]) {
-      return match[1];
-    }
+function toDriveDownloadError(error, fileId) {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  if (error.code === 403) {
+    return new DownloadError(
+      "PERMISSION_DENIED",
+      `No tienes permisos para acceder al archivo ${fileId}`
+    );
+  }
+
+  if (error.code === 404) {
+    return new DownloadError(
+      "FILE_NOT_FOUND",
+      `El archivo ${fileId} no existe o no es accesible`
+    );
   }
 
-  throw new Error(`No se pudo extraer el File ID de la URL: ${url}`);
+  return new DownloadError("DOWNLOAD_ERROR", `Drive: ${error.message}`, {
+    retryable: !error.code || error.code >= 500 || error.code === 429,
+    cause: error,
+  });
 }
 
 module.exports = {
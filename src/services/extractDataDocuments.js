@@ -1,11 +1,67 @@
-async function extractDataTyT(text) {
+const TYT_FORM_FIELDS = {
+  registroEK: {
+    keys: [/^numero de registro/],
+    parse: (value) => (value.match(/EK\d{10,15}/i) || [])[0]
+  },
+  numDocumento: {
+    keys: [/^identificacion/, /^(numero de )?documento/, /^cedula/],
+    parse: (value) => (value.replace(/[.\s]/g, '').match(/(\d{6,12})/) || [])[1]
+  },
+  institucion: {
+    keys: [/^institucion de educacion superior/, /^institucion/],
+    parse: (value) => {
+      const institucion = value.replace(/\s+/g, ' ').trim();
+      return institucion.length > 10 ? institucion : undefined;
+    }
+  },
+  programa: {
+    keys: [/^programa academico/, /^programa/],
+    parse: (value) => {
+      const programa = value.replace(/\s+/g, ' ').trim();
+      return programa.length > 10 ? programa : undefined;
+    }
+  },
+  fechaPresentacion: {
+    keys: [/^aplicacion del examen/, /^fecha de aplicacion/],
+    parse: (value) => (value.match(/\b(\d{1,2}\/\d{1,2}\/\d{4})\b/) || [])[1]
+  },
+  nombre: {
+    keys: [
+      /^(nombres? y apellidos|apellidos y nombres)$/,
+      /^nombre del (examinado|evaluado|estudiante)$/,
+      /^nombres?( completo)?$/
+    ],
+    parse: (value) => {
+      const nombre = value.replace(/[^A-Za-zÁÉÍÓÚÑÜáéíóúñü\s]/g, ' ').replace(/\s+/g, ' ').trim();
+      return nombre.split(' ').length >= 2 ? nombre : undefined;
+    }
+  }
+};
+
+async function extractDataTyT(text, extraction = {}) {
   const extractedData = {
     numDocumento: "Extracción Manual",
     registroEK: "Extracción Manual",
     institucion: "Extracción Manual",
     programa: "Extracción Manual",
-    fechaPresentacion: "Extracción Manual"
+    fechaPresentacion: "Extracción Manual",
+    nombre: "Extracción Manual",
+    puntajes: null,
+    provenance: {}
   };
+  const baseConfidence = getBaseConfidence(extraction);
+
+  for (const [field, definition] of Object.entries(TYT_FORM_FIELDS)) {
+    const found = findFormValue(extraction.forms, definition.keys, definition.parse);
+    if (found) {
+      setExtractedField(extractedData, field, found.value, {
+        confianza: typeof found.form.confidence === 'number' ? found.form.confidence : baseConfidence,
+        estrategia: 'formulario',
+        patron: found.form.key,
+        fragmento: `${found.form.key} ${found.form.value}`
+      });
+    }
+  }
 
   const docPatterns = [
   /Identificaci[oóô]n:\s*C\.?C\.?\s*(\d{6,12})/gi,
@@ -46,11 +102,14 @@ async function extractDataTyT(text) {
 
   /(?:documento|identificaci[oóô]n|c[eéê]dula|n[uúü]mero|id|cc)[\s\S]{0,100}?(\d{6,12})/gi
 ];
-  for (const pattern of docPatterns) {
-    const match = pattern.exec(text);
-    if (match && match[1]) {
-      extractedData.numDocumento = match[1];
-      break;
+  if (extractedData.numDocumento === "Extracción Manual") {
+    for (const [index, pattern] of docPatterns.entries()) {
+      const match = pattern.exec(text);
+      if (match && match[1]) {
+        setExtractedField(extractedData, 'numDocumento', match[1],
+          patternProvenance(extraction, patternStrength(index, docPatterns.length), pattern, match));
+        break;
+      }
     }
   }
 
@@ -59,11 +118,14 @@ async function extractDataTyT(text) {
     /Número\s+de\s+registro:\s*\n?\s*(EK\d{10,15})/gi,
     /\b(EK\d{10,15})\b/gi
   ];
-  for (const pattern of ekPatterns) {
-    const match = pattern.exec(text);
-    if (match && match[1]) {
-      extractedData.registroEK = match[1];
-      break;
+  if (extractedData.registroEK === "Extracción Manual") {
+    for (const [index, pattern] of ekPatterns.entries()) {
+      const match = pattern.exec(text);
+      if (match && match[1]) {
+        setExtractedField(extractedData, 'registroEK', match[1],
+          patternProvenance(extraction, patternStrength(index, ekPatterns.length), pattern, match));
+        break;
+      }
     }
   }
 
@@ -73,13 +135,16 @@ async function extractDataTyT(text) {
     /educación\s+superior:\s*([^\n\r]+?)(?=\s*Programa|$)/gi,
     /(Corporacion\s+Unificada\s+Nacional[^\n\r]*?)(?=\s*Programa|$)/gi
   ];
-  for (const pattern of instPatterns) {
-    const match = pattern.exec(text);
-    if (match && match[1]) {
-      let institucion = match[1].replace(/\s+/g, ' ').trim();
-      if (institucion.length > 10) {
-        extractedData.institucion = institucion;
-        break;
+  if (extractedData.institucion === "Extracción Manual") {
+    for (const [index, pattern] of instPatterns.entries()) {
+      const match = pattern.exec(text);
+      if (match && match[1]) {
+        let institucion = match[1].replace(/\s+/g, ' ').trim();
+        if (institucion.length > 10) {
+          setExtractedField(extractedData, 'institucion', institucion,
+            patternProvenance(extraction, patternStrength(index, instPatterns.length), pattern, match));
+          break;
+        }
       }
     }
   }
@@ -100,14 +165,17 @@ const progPatterns = [
   /Pr[oóô]grama\s+[Aa4]cad[eéê]m[iíl1]co[\s\n]*:?\s*([^\n\r]+?)(?=\s*[2-9]\.|$)/gi,
   /Pr[oóô]grama[\s\n]*:?\s*([^\n\r]+?)(?=\s*[2-9]\.|$)/gi,
 ];
-  for (const pattern of progPatterns) {
-    const match = pattern.exec(text);
-    if (match && match[1]) {
-      let programa = match[1].replace(/\s+/g, ' ').trim();
-      programa = programa.replace(/\s*\d+\.\s*$/, '').trim();
-      if (programa.length > 10) {
-        extractedData.programa = programa;
-        break;
+  if (extractedData.programa === "Extracción Manual") {
+    for (const [index, pattern] of progPatterns.entries()) {
+      const match = pattern.exec(text);
+      if (match && match[1]) {
+        let programa = match[1].replace(/\s+/g, ' ').trim();
+        programa = programa.replace(/\s*\d+\.\s*$/, '').trim();
+        if (programa.length > 10) {
+          setExtractedField(extractedData, 'programa', programa,
+            patternProvenance(extraction, patternStrength(index, progPatterns.length), pattern, match));
+          break;
+        }
       }
     }
   }
@@ -118,39 +186,423 @@ const progPatterns = [
     /Aplicación[^:]*:\s*(\d{1,2}\/\d{1,2}\/\d{4})/gi,
     /\b(\d{1,2}\/\d{1,2}\/\d{4})\b/g
   ];
-  for (let i = 0; i < datePatterns.length; i++) {
-    const pattern = datePatterns[i];
-    if (i < 3) {
-      const match = pattern.exec(text);
-      if (match && match[1]) {
-        extractedData.fechaPresentacion = match[1];
-        break;
-      }
-    } else {
-      const matches = text.match(pattern);
-      if (matches && matches.length > 0) {
-        const aplicacionIndex = text.indexOf('Aplicación del examen');
-        if (aplicacionIndex !== -1) {
-          for (const fecha of matches) {
-            const fechaIndex = text.indexOf(fecha, aplicacionIndex);
-            if (fechaIndex !== -1 && fechaIndex - aplicacionIndex < 100) {
-              extractedData.fechaPresentacion = fecha;
-              break;
+  if (extractedData.fechaPresentacion === "Extracción Manual") {
+    for (let i = 0; i < datePatterns.length; i++) {
+      const pattern = datePatterns[i];
+      if (i < 3) {
+        const match = pattern.exec(text);
+        if (match && match[1]) {
+          setExtractedField(extractedData, 'fechaPresentacion', match[1],
+            patternProvenance(extraction, patternStrength(i, datePatterns.length), pattern, match));
+          break;
+        }
+      } else {
+        const matches = text.match(pattern);
+        if (matches && matches.length > 0) {
+          const aplicacionIndex = text.search(/Aplicaci[oóô]n\s+del\s+examen/i);
+          if (aplicacionIndex !== -1) {
+            for (const fecha of matches) {
+              const fechaIndex = text.indexOf(fecha, aplicacionIndex);
+              if (fechaIndex !== -1 && fechaIndex - aplicacionIndex < 100) {
+                setExtractedField(extractedData, 'fechaPresentacion', fecha, {
+                  confianza: textConfidence(extraction, aplicacionIndex, fechaIndex + fecha.length) *
+                    patternStrength(i, datePatterns.length),
+                  estrategia: 'patron',
+                  patron: pattern.source,
+                  fragmento: text.substr(aplicacionIndex, fechaIndex - aplicacionIndex + fecha.length)
+                });
+                break;
+              }
             }
           }
+          break;
         }
-        if (extractedData.fechaPresentacion === "Extracción Manual" && matches[0]) {
-          extractedData.fechaPresentacion = matches[0];
+      }
+    }
+  }
+
+  const namePatterns = [
+    /(?:Nombres?\s+y\s+apellidos|Apellidos\s+y\s+nombres|Nombre\s+del\s+(?:examinado|evaluado|estudiante))\s*:?\s*([A-ZÁÉÍÓÚÑÜ]{2,}(?:\s+[A-ZÁÉÍÓÚÑÜ]{1,}){1,5})\b/g,
+    /Nombres?\s*:\s*([A-ZÁÉÍÓÚÑÜ]{2,}(?:\s+[A-ZÁÉÍÓÚÑÜ]{1,}){1,5})\b/g,
+    /[Cc]ertifica\s+que\s*:?\s*([A-ZÁÉÍÓÚÑÜ]{2,}(?:\s+[A-ZÁÉÍÓÚÑÜ]{1,}){1,5})\s*,?\s+(?:identificad[oa]|con\s+(?:documento|c[eé]dula))/g,
+    /Examinado\s*:?\s*([A-ZÁÉÍÓÚÑÜ]{2,}(?:\s+[A-ZÁÉÍÓÚÑÜ]{1,}){1,5})\b/g
+  ];
+  if (extractedData.nombre === "Extracción Manual") {
+    for (const [index, pattern] of namePatterns.entries()) {
+      const match = pattern.exec(text);
+      if (match && match[1]) {
+        const nombre = match[1]
+          .replace(/\s+(?:IDENTIFICACI[OÓ]N|TIPO|DOCUMENTO|N[UÚ]MERO|C\s*C|REGISTRO|INSTITUCI[OÓ]N|PROGRAMA)\b[\s\S]*$/, '')
+          .replace(/\s+/g, ' ')
+          .trim();
+        if (nombre.split(' ').length >= 2) {
+          setExtractedField(extractedData, 'nombre', nombre,
+            patternProvenance(extraction, patternStrength(index, namePatterns.length), pattern, match));
+          break;
         }
+      }
+    }
+  }
+
+  extractedData.puntajes = extractScoresTyT(text, extraction);
+
+  return extractedData;
+}
+
+function getBaseConfidence(extraction) {
+  return typeof extraction.confidence === 'number' && extraction.confidence > 0
+    ? extraction.confidence
+    : 100;
+}
+
+function patternStrength(index, total) {
+  return 1 - (index / Math.max(total - 1, 1)) * 0.6;
+}
+
+// Confianza promedio de las líneas OCR que cubren el tramo [start, end) del
+// texto; sin posiciones por línea se usa la del documento completo.
+function textConfidence(extraction, start, end) {
+  const lines = (extraction.lines || []).filter(line =>
+    typeof line.confidence === 'number' && line.start < end && line.end > start
+  );
+  if (lines.length === 0) {
+    return getBaseConfidence(extraction);
+  }
+  return lines.reduce((sum, line) => sum + line.confidence, 0) / lines.length;
+}
+
+function patternProvenance(extraction, strength, pattern, match) {
+  return {
+    confianza: textConfidence(extraction, match.index, match.index + match[0].length) * strength,
+    estrategia: 'patron',
+    patron: pattern.source,
+    fragmento: match[0],
+    posicion: match.index
+  };
+}
+
+function setExtractedField(extractedData, field, value, provenance) {
+  extractedData[field] = value;
+  extractedData.provenance[field] = {
+    ...provenance,
+    confianza: Math.round(provenance.confianza * 100) / 100,
+    fragmento: String(provenance.fragmento || '').replace(/\s+/g, ' ').trim().substring(0, 160)
+  };
+}
+
+function findFormValue(forms, keyPatterns, parse) {
+  if (!Array.isArray(forms) || forms.length === 0) {
+    return undefined;
+  }
+
+  for (const keyPattern of keyPatterns) {
+    for (const form of forms) {
+      if (!form || !form.key || !form.value) {
+        continue;
+      }
+      if (keyPattern.test(normalizeFormKey(form.key))) {
+        const value = parse(form.value);
+        if (value) {
+          return { value, form };
+        }
+      }
+    }
+  }
+  return undefined;
+}
+
+function normalizeFormKey(key) {
+  return key
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[:.]+\s*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const TYT_MODULES = [
+  {
+    pattern: /^comunicacion escrita/,
+    textPattern: /Comunicaci[oó]n\s+escrita\s*:?\s*(\d{1,3})\b/i,
+    nombre: 'Comunicación escrita'
+  },
+  {
+    pattern: /^razonamiento cuantitativo/,
+    textPattern: /Razonamiento\s+cuantitativo\s*:?\s*(\d{1,3})\b/i,
+    nombre: 'Razonamiento cuantitativo'
+  },
+  {
+    pattern: /^lectura critica/,
+    textPattern: /Lectura\s+cr[ií]tica\s*:?\s*(\d{1,3})\b/i,
+    nombre: 'Lectura crítica'
+  },
+  {
+    pattern: /^competencias ciudadanas/,
+    textPattern: /Competencias\s+ciudadanas\s*:?\s*(\d{1,3})\b/i,
+    nombre: 'Competencias ciudadanas'
+  },
+  {
+    pattern: /^ingles/,
+    textPattern: /Ingl[eé]s\s*:?\s*(\d{1,3})\b/i,
+    nombre: 'Inglés'
+  }
+];
+
+function extractScoresTyT(text, extraction = {}) {
+  const puntajes = {
+    global: null,
+    percentilNacional: null,
+    percentilGrupo: null,
+    modulos: []
+  };
+
+  for (const table of extraction.tables || []) {
+    readScoresTable(table, puntajes);
+  }
+
+  const formScores = [
+    { field: 'global', keys: [/^puntaje global/] },
+    { field: 'percentilNacional', keys: [/^percentil nacional/, /^percentil$/] },
+    { field: 'percentilGrupo', keys: [/^percentil (del )?grupo/] }
+  ];
+  for (const { field, keys } of formScores) {
+    if (puntajes[field] === null) {
+      const found = findFormValue(extraction.forms, keys, parseScore);
+      if (found) {
+        puntajes[field] = found.value;
+      }
+    }
+  }
+
+  const textScores = [
+    { field: 'global', pattern: /Puntaje\s+global\s*:?\s*(\d{1,3})\b/i },
+    { field: 'percentilNacional', pattern: /Percentil\s+nacional\s*:?\s*(\d{1,3})\b/i },
+    { field: 'percentilGrupo', pattern: /Percentil\s+(?:del\s+)?grupo(?:\s+de\s+referencia)?\s*:?\s*(\d{1,3})\b/i }
+  ];
+  for (const { field, pattern } of textScores) {
+    if (puntajes[field] === null) {
+      const match = pattern.exec(text || '');
+      if (match) {
+        puntajes[field] = parseInt(match[1], 10);
+      }
+    }
+  }
+
+  // La capa de texto del PDF no trae tablas: los módulos que no salieron de
+  // una tabla se buscan como "Módulo: puntaje" en el texto.
+  for (const module of TYT_MODULES) {
+    if (puntajes.modulos.some(found => found.nombre === module.nombre)) {
+      continue;
+    }
+    const match = module.textPattern.exec(text || '');
+    if (match) {
+      puntajes.modulos.push({
+        nombre: module.nombre,
+        especifico: false,
+        puntaje: parseInt(match[1], 10),
+        percentilNacional: null,
+        percentilGrupo: null,
+        nivelDesempeno: null
+      });
+    }
+  }
+
+  return puntajes;
+}
+
+function readScoresTable(table, puntajes) {
+  const rows = table.rows || [];
+  const headerIndex = rows.findIndex(row =>
+    row.some(cell => /puntaje/.test(normalizeFormKey(cell || '')))
+  );
+  if (headerIndex === -1) {
+    return;
+  }
+
+  const header = rows[headerIndex].map(cell => normalizeFormKey(cell || ''));
+  const findColumn = (predicate) => header.findIndex(predicate);
+  const columns = {
+    puntaje: findColumn(cell => /puntaje/.test(cell)),
+    percentilNacional: findColumn(cell => /percentil/.test(cell) && !/grupo/.test(cell)),
+    percentilGrupo: findColumn(cell => /percentil/.test(cell) && /grupo/.test(cell)),
+    nivel: findColumn(cell => /nivel/.test(cell))
+  };
+  const nameColumn = Math.max(findColumn(cell => /modulo|prueba|competencia/.test(cell)), 0);
+
+  for (const row of rows.slice(headerIndex + 1)) {
+    const rawName = (row[nameColumn] || '').replace(/\s+/g, ' ').trim();
+    const normalizedName = normalizeFormKey(rawName);
+    const puntaje = parseScore(row[columns.puntaje]);
+    if (!normalizedName || puntaje === undefined) {
+      continue;
+    }
+
+    const percentilNacional = columns.percentilNacional !== -1 ? parseScore(row[columns.percentilNacional]) : undefined;
+    const percentilGrupo = columns.percentilGrupo !== -1 ? parseScore(row[columns.percentilGrupo]) : undefined;
+
+    if (/^puntaje global/.test(normalizedName)) {
+      puntajes.global = puntaje;
+      puntajes.percentilNacional = percentilNacional !== undefined ? percentilNacional : puntajes.percentilNacional;
+      puntajes.percentilGrupo = percentilGrupo !== undefined ? percentilGrupo : puntajes.percentilGrupo;
+      continue;
+    }
+
+    const knownModule = TYT_MODULES.find(module => module.pattern.test(normalizedName));
+    puntajes.modulos.push({
+      nombre: knownModule ? knownModule.nombre : rawName,
+      especifico: !knownModule,
+      puntaje,
+      percentilNacional: percentilNacional !== undefined ? percentilNacional : null,
+      percentilGrupo: percentilGrupo !== undefined ? percentilGrupo : null,
+      nivelDesempeno: columns.nivel !== -1 && row[columns.nivel] ? row[columns.nivel].trim() : null
+    });
+  }
+}
+
+function parseScore(value) {
+  const match = String(value || '').match(/\b(\d{1,3})\b/);
+  return match ? parseInt(match[1], 10) : undefined;
+}
+
+const CEDULA_MONTHS = {
+  ENE: "01", FEB: "02", MAR: "03", ABR: "04", MAY: "05", JUN: "06",
+  JUL: "07", AGO: "08", SEP: "09", OCT: "10", NOV: "11", DIC: "12"
+};
+
+const CEDULA_DATE = "(\\d{1,2}[-\\s/]?(?:ENE|FEB|MAR|ABR|MAY|JUN|JUL|AGO|SEP|OCT|NOV|DIC)[-\\s/]?\\d{4}|\\d{1,2}\\/\\d{1,2}\\/\\d{4})";
+
+async function extractDataCedula(text, extraction = {}) {
+  const extractedData = {
+    numDocumento: "Extracción Manual",
+    nombre: "Extracción Manual",
+    fechaNacimiento: "Extracción Manual",
+    fechaExpedicion: "Extracción Manual",
+    provenance: {}
+  };
+
+  const numPatterns = [
+    /N[UÚ]MERO\s*:?\s*(\d(?:\.?\d){5,11})/gi,
+    /NUIP\s*:?\s*(\d(?:\.?\d){5,11})/gi,
+    /C[EÉ]DULA\s+DE\s+CIUDADAN[IÍ]A[\s\S]{0,40}?(\d(?:\.?\d){5,11})/gi,
+    /\b(\d{1,3}(?:\.\d{3}){2,3})\b/g
+  ];
+  for (const [index, pattern] of numPatterns.entries()) {
+    const match = pattern.exec(text);
+    if (match && match[1]) {
+      const digits = match[1].replace(/\D/g, '');
+      if (digits.length >= 6 && digits.length <= 12) {
+        setExtractedField(extractedData, 'numDocumento', digits,
+          patternProvenance(extraction, patternStrength(index, numPatterns.length), pattern, match));
         break;
       }
     }
   }
 
+  const namePatterns = [
+    {
+      regex: /Apellidos(?:\s*\/\s*Surnames)?\s*:?\s*([A-ZÁÉÍÓÚÑ ]+?)\s+Nombres(?:\s*\/\s*Given\s+names)?\s*:?\s*([A-ZÁÉÍÓÚÑ ]+?)(?=\s+(?:Nacionalidad|Fecha|Sexo|Lugar|Estatura|Firma|FIRMA|NUIP)|$)/g,
+      order: ['apellidos', 'nombres'],
+      strength: 1
+    },
+    {
+      regex: /N[UÚ]MERO\s*:?\s*[\d.\s]+?\s+([A-ZÁÉÍÓÚÑ ]+?)\s+APELLIDOS\s+([A-ZÁÉÍÓÚÑ ]+?)\s+NOMBRES/g,
+      order: ['apellidos', 'nombres'],
+      strength: 0.9
+    }
+  ];
+  for (const { regex, order, strength } of namePatterns) {
+    const match = regex.exec(text);
+    if (match && match[1] && match[2]) {
+      const parts = { [order[0]]: match[1], [order[1]]: match[2] };
+      const nombre = `${parts.nombres} ${parts.apellidos}`.replace(/\s+/g, ' ').trim();
+      if (nombre.length > 5) {
+        setExtractedField(extractedData, 'nombre', nombre,
+          patternProvenance(extraction, strength, regex, match));
+        break;
+      }
+    }
+  }
+
+  const birthDate = findDateNearLabel(text, /FECHA\s+DE\s+NACIMIENTO(?:\s*\/\s*Date\s+of\s+birth)?/i);
+  if (birthDate) {
+    setExtractedField(extractedData, 'fechaNacimiento', birthDate.value, {
+      ...birthDate.provenance,
+      confianza: textConfidence(extraction, ...birthDate.span) * birthDate.provenance.confianza
+    });
+  }
+
+  const expeditionDate = findDateNearLabel(
+    text,
+    /FECHA\s+(?:Y\s+LUGAR\s+)?DE\s+EXPEDICI[OÓ]N(?:\s*\/\s*Date\s+of\s+issue)?/i
+  );
+  if (expeditionDate) {
+    setExtractedField(extractedData, 'fechaExpedicion', expeditionDate.value, {
+      ...expeditionDate.provenance,
+      confianza: textConfidence(extraction, ...expeditionDate.span) * expeditionDate.provenance.confianza
+    });
+  }
+
   return extractedData;
 }
 
+function findDateNearLabel(text, labelRegex) {
+  const labelMatch = labelRegex.exec(text);
+  if (!labelMatch) {
+    return null;
+  }
+
+  const after = text.substr(labelMatch.index + labelMatch[0].length, 40);
+  const afterMatch = new RegExp(`^\\s*:?\\s*${CEDULA_DATE}`, 'i').exec(after);
+  if (afterMatch) {
+    return {
+      value: normalizeCedulaDate(afterMatch[1]),
+      span: [labelMatch.index, labelMatch.index + labelMatch[0].length + afterMatch[0].length],
+      provenance: {
+        confianza: 1,
+        estrategia: 'etiqueta',
+        patron: labelRegex.source,
+        fragmento: `${labelMatch[0]}${afterMatch[0]}`.replace(/\s+/g, ' ').trim(),
+        posicion: labelMatch.index
+      }
+    };
+  }
+
+  const before = text.substr(Math.max(0, labelMatch.index - 40), Math.min(40, labelMatch.index));
+  const beforeMatches = before.match(new RegExp(CEDULA_DATE, 'gi'));
+  if (beforeMatches && beforeMatches.length > 0) {
+    const rawDate = beforeMatches[beforeMatches.length - 1];
+    return {
+      value: normalizeCedulaDate(rawDate),
+      span: [labelMatch.index - before.length + before.lastIndexOf(rawDate), labelMatch.index + labelMatch[0].length],
+      provenance: {
+        confianza: 0.8,
+        estrategia: 'etiqueta',
+        patron: labelRegex.source,
+        fragmento: `${rawDate} ... ${labelMatch[0]}`.replace(/\s+/g, ' ').trim(),
+        posicion: labelMatch.index
+      }
+    };
+  }
+
+  return null;
+}
+
+function normalizeCedulaDate(rawDate) {
+  const numeric = rawDate.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (numeric) {
+    return `${numeric[1].padStart(2, '0')}/${numeric[2].padStart(2, '0')}/${numeric[3]}`;
+  }
+
+  const textual = rawDate.toUpperCase().match(/^(\d{1,2})[-\s/]?([A-Z]{3})[-\s/]?(\d{4})$/);
+  if (textual && CEDULA_MONTHS[textual[2]]) {
+    return `${textual[1].padStart(2, '0')}/${CEDULA_MONTHS[textual[2]]}/${textual[3]}`;
+  }
+
+  return rawDate;
+}
 
 module.exports = {
-  extractDataTyT
+  extractDataTyT,
+  extractDataCedula
 }
\ No newline at end of file
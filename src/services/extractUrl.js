@@ -1,16 +1,13 @@
+const { DOCUMENT_TYPES } = require('./documentTypes');
+const { detectSourceType } = require('./documentSources');
+
 function extractDocumentUrls(inputData) {
   const documentUrls = {};
-  
-  const documentFields = [
-    { field: 'Soporte_prueba_saber_ProTyt', key: 'soporte_prueba_saberProtyt' },
-  ];
 
-  for (const doc of documentFields) {
-    const fieldValue = inputData[doc.field];
-    if (fieldValue && typeof fieldValue === 'string') {
-      if (fieldValue.includes('drive.google.com') || fieldValue.includes('docs.google.com')) {
-        documentUrls[doc.key] = fieldValue;
-      }
+  for (const [docType, typeConfig] of Object.entries(DOCUMENT_TYPES)) {
+    const fieldValue = inputData[typeConfig.inputField];
+    if (fieldValue && detectSourceType(fieldValue)) {
+      documentUrls[docType] = fieldValue;
     }
   }
   return documentUrls;
@@ -18,4 +15,4 @@ function extractDocumentUrls(inputData) {
 
 module.exports ={
   extractDocumentUrls
-};
\ No newline at end of file
+};
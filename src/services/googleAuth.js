@@ -1,32 +1,116 @@
 const { google } = require("googleapis");
 
-async function googleAuth() {
-  try {
-    const clientId = process.env.GOOGLE_CLIENT_ID || "";
-    const clientSecret = process.env.GOOGLE_CLIENT_SECRET || "";
-    const refreshToken = process.env.GOOGLE_REFRESH_TOKEN || "";
-
-    const oauth2Client = new google.auth.OAuth2(
-      clientId,
-      clientSecret,
-      "urn:ietf:wg:oauth:2.0:oob"
+const { AuthError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+const { withResilience } = require("../utils/resilience");
+
+const log = createLogger("AUTH");
+
+const GOOGLE_AUTH_CONFIG = {
+  mode: process.env.GOOGLE_AUTH_MODE || "oauth",
+  scopes: ["https://www.googleapis.com/auth/drive.readonly"],
+  clientId: process.env.GOOGLE_CLIENT_ID || "",
+  clientSecret: process.env.GOOGLE_CLIENT_SECRET || "",
+  refreshToken: process.env.GOOGLE_REFRESH_TOKEN || "",
+  serviceAccountJson: process.env.GOOGLE_SERVICE_ACCOUNT_JSON || "",
+  serviceAccountEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL || "",
+  privateKey: (process.env.GOOGLE_PRIVATE_KEY || "").replace(/\\n/g, "\n"),
+  delegatedUser: process.env.GOOGLE_DELEGATED_USER || "",
+};
+
+let authClient = null;
+
+function createOAuthClient() {
+  if (!GOOGLE_AUTH_CONFIG.clientId || !GOOGLE_AUTH_CONFIG.refreshToken) {
+    throw new AuthError(
+      "GOOGLE_AUTH_NOT_CONFIGURED",
+      "Faltan GOOGLE_CLIENT_ID o GOOGLE_REFRESH_TOKEN"
     );
+  }
+
+  const client = new google.auth.OAuth2(
+    GOOGLE_AUTH_CONFIG.clientId,
+    GOOGLE_AUTH_CONFIG.clientSecret
+  );
+  client.setCredentials({ refresh_token: GOOGLE_AUTH_CONFIG.refreshToken });
+  return client;
+}
 
-    oauth2Client.setCredentials({ refresh_token: refreshToken });
+function createServiceAccountClient() {
+  let email = GOOGLE_AUTH_CONFIG.serviceAccountEmail;
+  let key = GOOGLE_AUTH_CONFIG.privateKey;
 
-    const { token } = await oauth2Client.getAccessToken();
+  if (GOOGLE_AUTH_CONFIG.serviceAccountJson) {
+    try {
+      const serviceAccount = JSON.parse(GOOGLE_AUTH_CONFIG.serviceAccountJson);
+      email = serviceAccount.client_email;
+      key = serviceAccount.private_key;
+    } catch (error) {
+      throw new AuthError(
+        "GOOGLE_AUTH_NOT_CONFIGURED",
+        `GOOGLE_SERVICE_ACCOUNT_JSON no es un JSON válido: ${error.message}`
+      );
+    }
+  }
 
-    return {
-      client_id: clientId,
-      client_secret: clientSecret,
-      access_token: token,
-      refresh_token: refreshToken,
-    };
+  if (!email || !key) {
+    throw new AuthError(
+      "GOOGLE_AUTH_NOT_CONFIGURED",
+      "Faltan las credenciales de la cuenta de servicio"
+    );
+  }
+
+  return new google.auth.JWT({
+    email,
+    key,
+    scopes: GOOGLE_AUTH_CONFIG.scopes,
+    subject: GOOGLE_AUTH_CONFIG.delegatedUser || undefined,
+  });
+}
+
+function getAuthClient() {
+  if (!authClient) {
+    authClient =
+      GOOGLE_AUTH_CONFIG.mode === "service_account"
+        ? createServiceAccountClient()
+        : createOAuthClient();
+    log.info(`Cliente de Google creado en modo ${GOOGLE_AUTH_CONFIG.mode}`, {
+      delegacion: Boolean(GOOGLE_AUTH_CONFIG.delegatedUser),
+    });
+  }
+  return authClient;
+}
+
+async function googleAuth() {
+  const client = getAuthClient();
+
+  try {
+    // El cliente reutiliza el token vigente y solo lo renueva cuando está
+    // por expirar, así que los contenedores calientes no vuelven a pedirlo.
+    await withResilience("google-auth", () => client.getAccessToken());
+    return client;
   } catch (error) {
-    throw new Error(`Error generando credenciales: ${error.message}`);
+    const reason = error.response && error.response.data && error.response.data.error;
+
+    if (reason === "invalid_grant") {
+      authClient = null;
+      throw new AuthError(
+        "GOOGLE_AUTH_REVOKED",
+        GOOGLE_AUTH_CONFIG.mode === "service_account"
+          ? "La cuenta de servicio o la delegación fue rechazada por Google"
+          : "El refresh token de Google fue revocado o expiró, genere uno nuevo",
+        { cause: error }
+      );
+    }
+
+    throw new AuthError(
+      "GOOGLE_AUTH_ERROR",
+      `Error generando credenciales: ${error.message}`,
+      { cause: error }
+    );
   }
 }
 
 module.exports = {
-  googleAuth
+  googleAuth,
 };
@@ -0,0 +1,349 @@
+const fs = require("fs-extra");
+const path = require("path");
+const sharp = require("sharp");
+
+const { detectFileType } = require("./documentConversion");
+const { ImageQualityError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+const { putMetric } = require("../utils/metrics");
+
+const log = createLogger("QUALITY");
+
+const QUALITY_CONFIG = {
+  enabled: process.env.IMAGE_QUALITY_CHECK_ENABLED !== "false",
+  minShortSide: parseInt(process.env.IMAGE_MIN_SHORT_SIDE_PX || "600", 10),
+  minSharpness: parseFloat(process.env.IMAGE_MIN_SHARPNESS || "100"),
+  minBrightness: parseFloat(process.env.IMAGE_MIN_BRIGHTNESS || "50"),
+  minContrast: parseFloat(process.env.IMAGE_MIN_CONTRAST || "80"),
+  maxSkewDegrees: parseFloat(process.env.IMAGE_MAX_SKEW_DEGREES || "10"),
+  sidewaysRatio: parseFloat(process.env.IMAGE_SIDEWAYS_RATIO || "1.5"),
+  minUprightness: parseFloat(process.env.IMAGE_MIN_UPRIGHTNESS || "0.15"),
+};
+
+const QUALITY_FORMATS = ["PNG", "JPEG"];
+
+// El análisis se hace sobre una copia reducida: las métricas son estables
+// entre fotos de distinto tamaño y el costo no depende de la cámara.
+const ANALYSIS_SIZE = 1000;
+const SKEW_ANALYSIS_SIZE = 500;
+const SKEW_SEARCH_DEGREES = 45;
+const SKEW_STEP_DEGREES = 0.5;
+const MAX_SKEW_SAMPLES = 40000;
+const INK_PERCENTILE = 0.001;
+const PAPER_PERCENTILE = 0.5;
+
+const ISSUE_REASONS = {
+  IMAGE_LOW_RESOLUTION: "Resolución insuficiente",
+  IMAGE_BLURRY: "Imagen borrosa",
+  IMAGE_TOO_DARK: "Imagen muy oscura",
+  IMAGE_OVEREXPOSED: "Imagen sobreexpuesta",
+  IMAGE_SKEWED: "Imagen inclinada",
+};
+
+async function toGreyscale(buffer, size) {
+  const { data, info } = await sharp(buffer)
+    .greyscale()
+    .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+function measureBrightness(image) {
+  let total = 0;
+  for (let i = 0; i < image.data.length; i++) {
+    total += image.data[i];
+  }
+  return total / image.data.length;
+}
+
+function percentile(histogram, total, fraction) {
+  const target = total * fraction;
+  let accumulated = 0;
+  for (let level = 0; level < histogram.length; level++) {
+    accumulated += histogram[level];
+    if (accumulated > target) {
+      return level;
+    }
+  }
+  return histogram.length - 1;
+}
+
+// Una hoja blanca bien fotografiada tiene un promedio cercano a 255; lo que
+// delata la sobreexposición es que la tinta quedó casi del color del papel.
+function measureContrast(image) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < image.data.length; i++) {
+    histogram[image.data[i]]++;
+  }
+  const ink = percentile(histogram, image.data.length, INK_PERCENTILE);
+  const paper = percentile(histogram, image.data.length, PAPER_PERCENTILE);
+  return paper - ink;
+}
+
+// Varianza del laplaciano: los bordes nítidos del texto producen respuestas
+// altas, una foto movida o desenfocada queda con valores cercanos a cero.
+function measureSharpness(image) {
+  const { data, width, height } = image;
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian =
+        4 * data[i] - data[i - 1] - data[i + 1] - data[i - width] - data[i + width];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  if (count === 0) {
+    return 0;
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function collectDarkPixels(image) {
+  const { data, width, height } = image;
+  const threshold = measureBrightness(image) * 0.6;
+  const points = [];
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < threshold) {
+        points.push(x - width / 2, y - height / 2);
+      }
+    }
+  }
+
+  const stride = Math.max(1, Math.ceil(points.length / 2 / MAX_SKEW_SAMPLES));
+  if (stride === 1) {
+    return points;
+  }
+  const sampled = [];
+  for (let i = 0; i < points.length; i += 2 * stride) {
+    sampled.push(points[i], points[i + 1]);
+  }
+  return sampled;
+}
+
+// Proyecta los píxeles oscuros sobre el eje perpendicular al ángulo dado; con
+// los renglones alineados a ese ángulo la proyección alterna entre renglón y
+// espacio, y la suma de diferencias al cuadrado entre filas vecinas es máxima.
+function projectionScore(points, degrees, bins) {
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const offset = bins.length >> 1;
+  bins.fill(0);
+
+  for (let i = 0; i < points.length; i += 2) {
+    bins[Math.round(points[i + 1] * cos - points[i] * sin) + offset]++;
+  }
+
+  let score = 0;
+  for (let i = 1; i < bins.length; i++) {
+    const difference = bins[i] - bins[i - 1];
+    score += difference * difference;
+  }
+  return score;
+}
+
+function findBestAngle(points, center, bins) {
+  let best = { angle: center, score: -1 };
+  for (let offset = -SKEW_SEARCH_DEGREES; offset < SKEW_SEARCH_DEGREES; offset += SKEW_STEP_DEGREES) {
+    const score = projectionScore(points, center + offset, bins);
+    if (score > best.score) {
+      best = { angle: center + offset, score };
+    }
+  }
+  return best;
+}
+
+// En cada renglón hay más tinta por encima de la franja central (mayúsculas,
+// b, d, l, t) que por debajo (g, p, q, y). Proyectando sobre el ángulo de los
+// renglones, el signo del balance dice hacia qué lado queda la parte de arriba.
+function measureUprightness(points, degrees, bins) {
+  projectionScore(points, degrees, bins);
+
+  let peak = 0;
+  for (let i = 0; i < bins.length; i++) {
+    peak = Math.max(peak, bins[i]);
+  }
+  const lineThreshold = peak * 0.05;
+
+  let above = 0;
+  let below = 0;
+  for (let start = 0; start < bins.length; start++) {
+    if (bins[start] <= lineThreshold) {
+      continue;
+    }
+    let end = start;
+    while (end + 1 < bins.length && bins[end + 1] > lineThreshold) {
+      end++;
+    }
+
+    let linePeak = 0;
+    for (let i = start; i <= end; i++) {
+      linePeak = Math.max(linePeak, bins[i]);
+    }
+    let coreStart = start;
+    while (bins[coreStart] < linePeak / 2) {
+      coreStart++;
+    }
+    let coreEnd = end;
+    while (bins[coreEnd] < linePeak / 2) {
+      coreEnd--;
+    }
+
+    for (let i = start; i < coreStart; i++) {
+      above += bins[i];
+    }
+    for (let i = coreEnd + 1; i <= end; i++) {
+      below += bins[i];
+    }
+    start = end;
+  }
+
+  return above + below === 0 ? 0 : (above - below) / (above + below);
+}
+
+function estimateOrientation(image, detail) {
+  const points = collectDarkPixels(image);
+  if (points.length < 200) {
+    return { skew: 0, sideways: false, rotation: 0 };
+  }
+
+  const bins = new Float64Array(2 * SKEW_ANALYSIS_SIZE + 3);
+  const upright = findBestAngle(points, 0, bins);
+  const sideways = findBestAngle(points, 90, bins);
+
+  if (sideways.score <= upright.score * QUALITY_CONFIG.sidewaysRatio) {
+    return { skew: upright.angle, sideways: false, rotation: 0 };
+  }
+
+  // Girada de lado la proyección avanza hacia la izquierda de la imagen: un
+  // balance positivo indica que la parte de arriba del texto mira a la derecha.
+  const uprightness = measureUprightness(
+    collectDarkPixels(detail),
+    sideways.angle,
+    new Float64Array(2 * ANALYSIS_SIZE + 3)
+  );
+  let rotation = 0;
+  if (uprightness >= QUALITY_CONFIG.minUprightness) {
+    rotation = -90;
+  } else if (uprightness <= -QUALITY_CONFIG.minUprightness) {
+    rotation = 90;
+  }
+
+  return {
+    skew: sideways.angle - 90,
+    sideways: true,
+    rotation,
+    uprightness: Math.round(uprightness * 100) / 100,
+  };
+}
+
+async function writeRotatedImage(filePath, buffer, format) {
+  const parsed = path.parse(filePath);
+  const extension = format === "PNG" ? "png" : "jpg";
+  const rotatedPath = path.join(parsed.dir, `${parsed.name}.rotado.${extension}`);
+  await fs.writeFile(rotatedPath, buffer);
+  return rotatedPath;
+}
+
+async function assessImageQuality(filePath) {
+  if (!QUALITY_CONFIG.enabled) {
+    return { path: filePath };
+  }
+
+  const original = await fs.readFile(filePath);
+  const format = detectFileType(original);
+  if (!QUALITY_FORMATS.includes(format)) {
+    return { path: filePath };
+  }
+
+  const finished = log.startTimer();
+  const encode = (pipeline) =>
+    (format === "PNG" ? pipeline.png() : pipeline.jpeg({ quality: 95 })).toBuffer();
+
+  const exif = await sharp(original).metadata();
+  let buffer = original;
+  const rotations = [];
+
+  // Las fotos de celular guardan la orientación en EXIF en lugar de girar los
+  // píxeles; Textract no siempre la respeta.
+  if (exif.orientation && exif.orientation > 1) {
+    buffer = await encode(sharp(original).rotate());
+    rotations.push("exif");
+  }
+
+  const { width, height } = await sharp(buffer).metadata();
+  const analysis = await toGreyscale(buffer, ANALYSIS_SIZE);
+  const orientation = estimateOrientation(
+    await toGreyscale(buffer, SKEW_ANALYSIS_SIZE),
+    analysis
+  );
+
+  // Si no se sabe hacia qué lado está la parte de arriba se deja como llegó:
+  // girarla al azar puede dejar la página de cabeza.
+  if (orientation.rotation) {
+    buffer = await encode(sharp(buffer).rotate(orientation.rotation));
+    rotations.push(String(orientation.rotation));
+  } else if (orientation.sideways) {
+    log.warn("Imagen de lado sin orientación clara, no se gira", {
+      uprightness: orientation.uprightness,
+    });
+  }
+
+  const metrics = {
+    width,
+    height,
+    sharpness: Math.round(measureSharpness(analysis)),
+    brightness: Math.round(measureBrightness(analysis)),
+    contrast: measureContrast(analysis),
+    skewDegrees: orientation.skew,
+    rotations,
+  };
+
+  const issues = [];
+  if (Math.min(width, height) < QUALITY_CONFIG.minShortSide) {
+    issues.push("IMAGE_LOW_RESOLUTION");
+  }
+  if (metrics.sharpness < QUALITY_CONFIG.minSharpness) {
+    issues.push("IMAGE_BLURRY");
+  }
+  if (metrics.brightness < QUALITY_CONFIG.minBrightness) {
+    issues.push("IMAGE_TOO_DARK");
+  } else if (metrics.contrast < QUALITY_CONFIG.minContrast) {
+    issues.push("IMAGE_OVEREXPOSED");
+  }
+  if (Math.abs(metrics.skewDegrees) > QUALITY_CONFIG.maxSkewDegrees) {
+    issues.push("IMAGE_SKEWED");
+  }
+
+  putMetric("ImageQualityCheck", issues.length === 0 ? 0 : 1, "None", {
+    Reason: issues[0] || "OK",
+  });
+  finished("Calidad de imagen evaluada", { ...metrics, issues });
+
+  if (issues.length > 0) {
+    throw new ImageQualityError(
+      issues.map((code) => ({ code, razon: ISSUE_REASONS[code] })),
+      metrics
+    );
+  }
+
+  const checkedPath = rotations.length > 0
+    ? await writeRotatedImage(filePath, buffer, format)
+    : filePath;
+  return { path: checkedPath, metrics };
+}
+
+module.exports = {
+  assessImageQuality,
+};
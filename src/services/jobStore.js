@@ -0,0 +1,239 @@
+const AWS = require("aws-sdk");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { ConfigurationError, StorageError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("JOBS");
+
+const JOB_STORE_CONFIG = {
+  type: process.env.JOB_STORE || (process.env.JOB_TABLE_NAME ? "dynamodb" : "memory"),
+  tableName: process.env.JOB_TABLE_NAME || "",
+  directory: process.env.JOB_STORE_DIR || path.join(os.tmpdir(), "lambda-tyt-jobs"),
+  ttlSeconds: parseInt(process.env.JOB_TTL_SECONDS || "604800", 10),
+  payloadBucket: process.env.JOB_PAYLOAD_BUCKET || "",
+  payloadPrefix: process.env.JOB_PAYLOAD_PREFIX || "job-payloads/",
+  inlineMaxBytes: parseInt(process.env.JOB_INLINE_MAX_BYTES || String(200 * 1024), 10),
+};
+
+// Campos que pueden superar el límite de 400 KB por ítem de DynamoDB: las
+// solicitudes con base64 y los resultados de lotes grandes.
+const OFFLOADED_FIELDS = ["solicitud", "resultado"];
+
+function createMemoryJobStore() {
+  const jobs = new Map();
+
+  return {
+    shared: false,
+    async create(job) {
+      jobs.set(job.jobId, { ...job });
+      return job;
+    },
+    async get(jobId) {
+      const job = jobs.get(jobId);
+      return job ? { ...job } : null;
+    },
+    async update(jobId, changes) {
+      const job = jobs.get(jobId);
+      if (!job) {
+        throw new StorageError("JOB_NOT_FOUND", jobId);
+      }
+      const updated = { ...job, ...changes };
+      jobs.set(jobId, updated);
+      return updated;
+    },
+  };
+}
+
+function createFileJobStore(directory = JOB_STORE_CONFIG.directory) {
+  const jobPath = (jobId) =>
+    path.join(directory, `${String(jobId).replace(/[^a-zA-Z0-9-]/g, "")}.json`);
+
+  return {
+    shared: false,
+    async create(job) {
+      await fs.ensureDir(directory);
+      await fs.writeJson(jobPath(job.jobId), job);
+      return job;
+    },
+    async get(jobId) {
+      const filePath = jobPath(jobId);
+      if (!(await fs.pathExists(filePath))) {
+        return null;
+      }
+      return await fs.readJson(filePath);
+    },
+    async update(jobId, changes) {
+      const job = await this.get(jobId);
+      if (!job) {
+        throw new StorageError("JOB_NOT_FOUND", jobId);
+      }
+      const updated = { ...job, ...changes };
+      await fs.writeJson(jobPath(jobId), updated);
+      return updated;
+    },
+  };
+}
+
+function createPayloadStorage(
+  bucket = JOB_STORE_CONFIG.payloadBucket,
+  prefix = JOB_STORE_CONFIG.payloadPrefix,
+  s3 = new AWS.S3({
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    s3ForcePathStyle: Boolean(process.env.S3_ENDPOINT),
+  })
+) {
+  return {
+    async offload(jobId, fields) {
+      const stored = { ...fields };
+
+      for (const field of OFFLOADED_FIELDS) {
+        if (stored[field] === undefined) {
+          continue;
+        }
+        const body = JSON.stringify(stored[field]);
+        if (Buffer.byteLength(body) <= JOB_STORE_CONFIG.inlineMaxBytes) {
+          continue;
+        }
+        if (!bucket) {
+          throw new ConfigurationError(
+            "JOB_STORE_NOT_CONFIGURED",
+            `El campo ${field} del trabajo ${jobId} supera ${JOB_STORE_CONFIG.inlineMaxBytes} bytes y falta JOB_PAYLOAD_BUCKET`
+          );
+        }
+
+        const key = `${prefix}${jobId}/${field}.json`;
+        await s3
+          .putObject({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: "application/json",
+          })
+          .promise();
+        log.info(`Campo ${field} del trabajo ${jobId} guardado en S3`, {
+          bytes: Buffer.byteLength(body),
+        });
+
+        delete stored[field];
+        stored[`${field}Ref`] = { bucket, key };
+      }
+      return stored;
+    },
+    async restore(item) {
+      if (!item) {
+        return null;
+      }
+
+      const restored = { ...item };
+      for (const field of OFFLOADED_FIELDS) {
+        const ref = restored[`${field}Ref`];
+        if (!ref) {
+          continue;
+        }
+        const { Body } = await s3
+          .getObject({ Bucket: ref.bucket, Key: ref.key })
+          .promise();
+        restored[field] = JSON.parse(Body.toString("utf8"));
+        delete restored[`${field}Ref`];
+      }
+      return restored;
+    },
+  };
+}
+
+function createDynamoJobStore(tableName = JOB_STORE_CONFIG.tableName, options = {}) {
+  if (!tableName) {
+    throw new ConfigurationError("JOB_STORE_NOT_CONFIGURED", "Falta JOB_TABLE_NAME");
+  }
+
+  const client = options.client || new AWS.DynamoDB.DocumentClient({
+    endpoint: process.env.DYNAMODB_ENDPOINT || undefined,
+  });
+  const payloads = options.payloads || createPayloadStorage();
+
+  return {
+    shared: true,
+    async create(job) {
+      await client
+        .put({
+          TableName: tableName,
+          Item: {
+            ...(await payloads.offload(job.jobId, job)),
+            expiresAt: Math.floor(Date.now() / 1000) + JOB_STORE_CONFIG.ttlSeconds,
+          },
+          ConditionExpression: "attribute_not_exists(jobId)",
+        })
+        .promise();
+      return job;
+    },
+    async get(jobId) {
+      const { Item } = await client
+        .get({ TableName: tableName, Key: { jobId } })
+        .promise();
+      return payloads.restore(Item);
+    },
+    async update(jobId, changes) {
+      const stored = await payloads.offload(jobId, changes);
+      const names = {};
+      const values = {};
+      const assignments = Object.keys(stored).map((key, index) => {
+        names[`#f${index}`] = key;
+        values[`:v${index}`] = stored[key];
+        return `#f${index} = :v${index}`;
+      });
+
+      const { Attributes } = await client
+        .update({
+          TableName: tableName,
+          Key: { jobId },
+          UpdateExpression: `SET ${assignments.join(", ")}`,
+          ExpressionAttributeNames: names,
+          ExpressionAttributeValues: values,
+          ConditionExpression: "attribute_exists(jobId)",
+          ReturnValues: "ALL_NEW",
+        })
+        .promise();
+      return payloads.restore(Attributes);
+    },
+  };
+}
+
+let jobStore = null;
+
+function getJobStore() {
+  if (!jobStore) {
+    switch (JOB_STORE_CONFIG.type) {
+      case "dynamodb":
+        jobStore = createDynamoJobStore();
+        break;
+      case "file":
+        jobStore = createFileJobStore();
+        break;
+      case "memory":
+        jobStore = createMemoryJobStore();
+        break;
+      default:
+        throw new ConfigurationError(
+          "JOB_STORE_NOT_CONFIGURED",
+          `Tipo de almacén desconocido ${JOB_STORE_CONFIG.type}`
+        );
+    }
+    log.info(`Almacén de trabajos: ${JOB_STORE_CONFIG.type}`);
+  }
+  return jobStore;
+}
+
+function setJobStore(store) {
+  jobStore = store;
+}
+
+module.exports = {
+  createMemoryJobStore,
+  createFileJobStore,
+  createDynamoJobStore,
+  createPayloadStorage,
+  getJobStore,
+  setJobStore,
+};
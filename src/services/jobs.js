@@ -0,0 +1,216 @@
+const AWS = require("aws-sdk");
+const crypto = require("crypto");
+
+const { getJobStore } = require("./jobStore");
+const { processApplicant } = require("./processApplicant");
+const { processBatch } = require("./processBatch");
+const { getBatchRecords } = require("./requestSchema");
+const {
+  AppError,
+  ConfigurationError,
+  getErrorCode,
+} = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("JOBS");
+
+const JOB_EVENT_SOURCE = "lambda-tyt.job";
+
+const JOB_RUNNER_CONFIG = {
+  runner: process.env.JOB_RUNNER || "lambda",
+  functionName: process.env.JOB_WORKER_FUNCTION || "",
+  // Una Lambda no corre más de 15 minutos: pasado este plazo el worker que
+  // tomó el trabajo ya no existe aunque no haya alcanzado a marcarlo.
+  leaseMs: parseInt(process.env.JOB_LEASE_MS || String(16 * 60 * 1000), 10),
+};
+
+let inlineJobsRunning = 0;
+
+const JOB_STATES = {
+  PENDING: "PENDIENTE",
+  RUNNING: "PROCESANDO",
+  DONE: "COMPLETADO",
+  FAILED: "ERROR",
+};
+
+function assertRunnerCanReachStore(store) {
+  // Un almacén local solo lo ve el contenedor que lo creó; el worker invocado
+  // por Lambda puede caer en otro contenedor y no encontrar el trabajo.
+  if (JOB_RUNNER_CONFIG.runner !== "inline" && store.shared === false) {
+    throw new ConfigurationError(
+      "JOB_RUNNER_NOT_CONFIGURED",
+      "JOB_RUNNER=lambda requiere un almacén compartido (JOB_STORE=dynamodb) o usar JOB_RUNNER=inline"
+    );
+  }
+}
+
+async function submitJob(requestBody, context = {}) {
+  const store = getJobStore();
+  assertRunnerCanReachStore(store);
+
+  const now = new Date().toISOString();
+  const job = {
+    jobId: crypto.randomUUID(),
+    estado: JOB_STATES.PENDING,
+    solicitud: requestBody,
+    creado: now,
+    actualizado: now,
+  };
+
+  await store.create(job);
+  log.info(`Trabajo ${job.jobId} registrado`);
+
+  try {
+    await dispatchJob(job.jobId, context);
+  } catch (error) {
+    log.error(`No se pudo despachar el trabajo ${job.jobId}`, { error });
+    await store
+      .update(job.jobId, {
+        estado: JOB_STATES.FAILED,
+        error: error.message,
+        errorCode: getErrorCode(error),
+        actualizado: new Date().toISOString(),
+      })
+      .catch((updateError) => {
+        log.error(`No se pudo marcar el trabajo ${job.jobId} como fallido`, {
+          error: updateError,
+        });
+      });
+    throw error;
+  }
+
+  return {
+    jobId: job.jobId,
+    estado: job.estado,
+    creado: job.creado,
+  };
+}
+
+async function dispatchJob(jobId, context) {
+  if (JOB_RUNNER_CONFIG.runner === "inline") {
+    inlineJobsRunning++;
+    setImmediate(() => {
+      runJob(jobId)
+        .catch((error) => {
+          log.error(`Error en ejecución local de ${jobId}`, { error });
+        })
+        .finally(() => {
+          inlineJobsRunning--;
+        });
+    });
+    return;
+  }
+
+  const functionName = JOB_RUNNER_CONFIG.functionName || context.functionName;
+  if (!functionName) {
+    throw new ConfigurationError("JOB_RUNNER_NOT_CONFIGURED", "Falta JOB_WORKER_FUNCTION");
+  }
+
+  const lambda = new AWS.Lambda();
+  await lambda
+    .invoke({
+      FunctionName: functionName,
+      InvocationType: "Event",
+      Payload: JSON.stringify({ source: JOB_EVENT_SOURCE, jobId }),
+    })
+    .promise();
+  log.info(`Trabajo ${jobId} enviado a ${functionName}`);
+}
+
+async function runJob(jobId) {
+  const store = getJobStore();
+  const job = await store.get(jobId);
+  if (!job) {
+    log.error(`Trabajo ${jobId} no encontrado`);
+    return null;
+  }
+
+  const startedAt = Date.now();
+  await store.update(jobId, {
+    estado: JOB_STATES.RUNNING,
+    iniciado: new Date(startedAt).toISOString(),
+    vence: new Date(startedAt + JOB_RUNNER_CONFIG.leaseMs).toISOString(),
+    actualizado: new Date(startedAt).toISOString(),
+  });
+
+  try {
+    const batchRecords = getBatchRecords(job.solicitud);
+    const resultado = batchRecords
+      ? await processBatch(batchRecords)
+      : await processApplicant(job.solicitud || {});
+
+    log.info(`Trabajo ${jobId} completado`);
+    return await store.update(jobId, {
+      estado: JOB_STATES.DONE,
+      resultado,
+      actualizado: new Date().toISOString(),
+    });
+  } catch (error) {
+    log.error(`Trabajo ${jobId} falló`, { error });
+    return await store.update(jobId, {
+      estado: JOB_STATES.FAILED,
+      error: error.message,
+      errorCode: getErrorCode(error),
+      actualizado: new Date().toISOString(),
+    });
+  }
+}
+
+async function getJobStatus(jobId) {
+  const job = await getJobStore().get(jobId);
+  if (!job) {
+    return null;
+  }
+
+  const status = {
+    jobId: job.jobId,
+    estado: job.estado,
+    creado: job.creado,
+    actualizado: job.actualizado,
+  };
+  if (isLeaseExpired(job)) {
+    const error = new AppError(
+      "JOB_TIMEOUT",
+      `El trabajo sigue en ${job.estado} desde ${job.iniciado} y su plazo venció en ${job.vence}`
+    );
+    log.warn(`Trabajo ${jobId} con plazo vencido`, { vence: job.vence });
+    return {
+      ...status,
+      estado: JOB_STATES.FAILED,
+      error: error.message,
+      errorCode: getErrorCode(error),
+    };
+  }
+  if (job.estado === JOB_STATES.DONE) {
+    status.resultado = job.resultado;
+  }
+  if (job.estado === JOB_STATES.FAILED) {
+    status.error = job.error;
+    status.errorCode = job.errorCode;
+  }
+  return status;
+}
+
+function isLeaseExpired(job) {
+  return (
+    job.estado === JOB_STATES.RUNNING &&
+    Boolean(job.vence) &&
+    Date.parse(job.vence) < Date.now()
+  );
+}
+
+function hasInlineJobsRunning() {
+  return inlineJobsRunning > 0;
+}
+
+function isJobWorkerEvent(event) {
+  return Boolean(event && event.source === JOB_EVENT_SOURCE && event.jobId);
+}
+
+module.exports = {
+  submitJob,
+  runJob,
+  getJobStatus,
+  hasInlineJobsRunning,
+  isJobWorkerEvent,
+};
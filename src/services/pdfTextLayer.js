@@ -0,0 +1,86 @@
+const fs = require("fs-extra");
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+
+const { validateTextWithDictionary } = require("./validatorDocuments");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("PDF-TEXT");
+
+const TEXT_LAYER_CONFIG = {
+  enabled: process.env.PDF_TEXT_LAYER_ENABLED !== "false",
+  minChars: parseInt(process.env.PDF_TEXT_LAYER_MIN_CHARS || "200", 10),
+  minKeywords: parseInt(process.env.PDF_TEXT_LAYER_MIN_KEYWORDS || "2", 10),
+};
+
+async function extractTextLayerIfReliable(filePath, dictionary) {
+  if (!TEXT_LAYER_CONFIG.enabled) {
+    return null;
+  }
+
+  try {
+    const documentBuffer = await fs.readFile(filePath);
+    if (documentBuffer.slice(0, 4).toString() !== "%PDF") {
+      return null;
+    }
+
+    // El pdf.js de pdf-parse no lee xref ni object streams si recibe un
+    // Buffer de Node; se le pasa una vista Uint8Array sobre los mismos bytes.
+    const parsed = await pdfParse(
+      new Uint8Array(
+        documentBuffer.buffer,
+        documentBuffer.byteOffset,
+        documentBuffer.length
+      )
+    );
+    const text = normalizeTextLayer(parsed.text);
+
+    if (text.length < TEXT_LAYER_CONFIG.minChars) {
+      log.info("Capa de texto insuficiente, se usará OCR", {
+        caracteres: text.length,
+      });
+      return null;
+    }
+
+    const keywordsReport = await validateTextWithDictionary(
+      text,
+      dictionary,
+      TEXT_LAYER_CONFIG.minKeywords
+    );
+    if (!keywordsReport.valid) {
+      log.info("Capa de texto sin palabras clave suficientes, se usará OCR");
+      return null;
+    }
+
+    log.info("Capa de texto nativa utilizada", {
+      paginas: parsed.numpages,
+      caracteres: text.length,
+    });
+    return {
+      text,
+      confidence: 100,
+      forms: [],
+      tables: [],
+      layout: [],
+      lines: [],
+      metadata: {
+        pages: parsed.numpages,
+        extractionMethod: "pdfTextLayer",
+      },
+    };
+  } catch (error) {
+    log.warn("No se pudo leer la capa de texto, se usará OCR", { error });
+    return null;
+  }
+}
+
+function normalizeTextLayer(rawText) {
+  return (rawText || "")
+    .split(/\r?\n/)
+    .map((line) => line.replace(/\s+/g, " ").trim())
+    .filter((line) => line.length > 0)
+    .join(" ");
+}
+
+module.exports = {
+  extractTextLayerIfReliable,
+};
@@ -0,0 +1,47 @@
+const { createTempDirectory, removeTempDirectory } = require("../utils/tempStorage");
+const { downloadDocuments } = require("./downloadDocuments");
+const { processDocuments } = require("./processDocument");
+const { extractDocumentUrls } = require("./extractUrl");
+const {
+  runWithLogContext,
+  addSensitiveValues,
+} = require("../utils/logger");
+const { runWithRetryTracking } = require("../utils/resilience");
+
+function processApplicant(requestBody) {
+  return runWithLogContext({}, async () => {
+    addSensitiveValues([
+      requestBody.Nombre_completo,
+      requestBody.Numero_de_Documento,
+    ]);
+    const { result, retries } = await runWithRetryTracking(() =>
+      processApplicantDocuments(requestBody)
+    );
+    result.Metadata = {
+      ...result.Metadata,
+      reintentos: Object.values(retries).reduce((total, count) => total + count, 0),
+      reintentosPorServicio: retries,
+    };
+    return result;
+  });
+}
+
+async function processApplicantDocuments(requestBody) {
+  const tempDir = await createTempDirectory();
+
+  try {
+    const documentsUrl = extractDocumentUrls(requestBody);
+    const downloadedFiles = await downloadDocuments(documentsUrl, {
+      tempDir,
+      forceRefresh: requestBody.forceRefresh === true,
+    });
+
+    return await processDocuments(requestBody, downloadedFiles, documentsUrl);
+  } finally {
+    await removeTempDirectory(tempDir);
+  }
+}
+
+module.exports = {
+  processApplicant,
+};
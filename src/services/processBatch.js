@@ -0,0 +1,83 @@
+const { processApplicant } = require("./processApplicant");
+const { validateApplicant } = require("./requestSchema");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const {
+  RequestError,
+  SchemaValidationError,
+  getErrorCode,
+} = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("BATCH");
+
+const BATCH_CONFIG = {
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY || "4", 10),
+  maxSize: parseInt(process.env.BATCH_MAX_SIZE || "500", 10),
+};
+
+async function processBatch(records) {
+  if (records.length > BATCH_CONFIG.maxSize) {
+    throw new RequestError(
+      "BATCH_TOO_LARGE",
+      `El lote tiene ${records.length} registros, máximo ${BATCH_CONFIG.maxSize}`
+    );
+  }
+
+  log.info(`Procesando ${records.length} aspirante(s)`, {
+    concurrencia: BATCH_CONFIG.concurrency,
+  });
+
+  const settled = await mapWithConcurrency(
+    records,
+    BATCH_CONFIG.concurrency,
+    (record) => {
+      // Un registro inválido se reporta en su posición sin detener el lote.
+      const errores = validateApplicant(record);
+      if (errores.length > 0) {
+        throw new SchemaValidationError(errores);
+      }
+      return processApplicant(record);
+    }
+  );
+
+  const resultados = settled.map((outcome, index) => {
+    const record = records[index] || {};
+    if (outcome.status === "fulfilled") {
+      return {
+        indice: index,
+        Numero_de_Documento: record.Numero_de_Documento || "",
+        estado: "OK",
+        resultado: outcome.value,
+      };
+    }
+
+    log.error(`Error procesando registro ${index}`, { error: outcome.reason });
+    return {
+      indice: index,
+      Numero_de_Documento: record.Numero_de_Documento || "",
+      estado: "ERROR",
+      errorCode: getErrorCode(outcome.reason),
+      error: outcome.reason.message,
+      ...(outcome.reason instanceof SchemaValidationError && {
+        errores: outcome.reason.errores,
+      }),
+    };
+  });
+
+  const errores = resultados.filter((item) => item.estado === "ERROR").length;
+  log.info("Lote finalizado", {
+    exitosos: resultados.length - errores,
+    errores,
+  });
+
+  return {
+    total: resultados.length,
+    exitosos: resultados.length - errores,
+    errores,
+    resultados,
+  };
+}
+
+module.exports = {
+  processBatch,
+};
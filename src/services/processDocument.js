@@ -1,199 +1,320 @@
+const fs = require("fs-extra");
+
 const { getDictionaryForDocumentType } = require("./dictionaryService");
 const { validateTextWithDictionary } = require("./validatorDocuments");
 const { extractTextWithDocumentType } = require("./textract");
-const { extractDataTyT } = require("./extractDataDocuments");
+const { extractTextLayerIfReliable } = require("./pdfTextLayer");
+const { prepareDocumentForExtraction } = require("./documentConversion");
+const { assessImageQuality } = require("./imageQuality");
+const { getDocumentType, getDocumentTypeKeys } = require("./documentTypes");
+const { validateIdentity } = require("./validateDataDocuments");
+const { setCachedResult } = require("./resultCache");
+const {
+  ImageQualityError,
+  getErrorCode,
+  getErrorStatus,
+} = require("../utils/errors");
+const { putMetric, putMetrics } = require("../utils/metrics");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("PROCESS");
+
+const FIELD_CONFIDENCE_THRESHOLD = parseFloat(
+  process.env.FIELD_CONFIDENCE_THRESHOLD || "70"
+);
 
 async function processDocuments(inputData, downloadedFiles, documentUrls) {
   const output = {
     NombreCompleto: inputData.Nombre_completo || "",
     NumeroDocumento: inputData.Numero_de_Documento || "",
     NivelDeFormacion: inputData.NivelDeFormacion || "",
-    SaberProTyT: "",
-    EK: "",
-    Num_Documento_Extraido: "",
-    Fecha_Presentacion_Extraida: "",
-    Programa_Extraido: "",
-    Institucion_Extraida: "",
-    Institucion_Valida: "",
-    NivelFormacion_Valido: "",
   };
 
+  const documentTypes = getDocumentTypeKeys().filter(
+    (docType) =>
+      getDocumentType(docType).required || documentUrls[docType] !== undefined
+  );
+
+  for (const docType of documentTypes) {
+    const typeConfig = getDocumentType(docType);
+    output[typeConfig.outputField] = "";
+    for (const field of Object.values(typeConfig.outputFields || {})) {
+      output[field] = "";
+    }
+    for (const field of typeConfig.validationFields || []) {
+      output[field] = "";
+    }
+  }
+
   const documentMap = {};
   for (const file of downloadedFiles) {
-    for (const [docType, url] of Object.entries(documentUrls)) {
-      if (file.originalUrl === url) {
-        documentMap[docType] = file;
-        break;
-      }
-    }
+    documentMap[file.docType] = file;
   }
 
-  await processDocumentType(
-    documentMap,
-    "soporte_prueba_saberProtyt",
-    output,
-    "SaberProTyT",
-    inputData
-  );
+  output.Detalle_Extraccion = {};
+  output.Metadata = { formatosOriginales: {} };
+  for (const docType of documentTypes) {
+    await processDocumentType(documentMap, docType, output, inputData);
+  }
+
+  if (documentTypes.includes("cedula")) {
+    await validateIdentity(output, inputData);
+  }
   return output;
 }
 
-async function processDocumentType(
-  documentMap,
-  docType,
-  output,
-  outputField,
-  inputData
-) {
+async function processDocumentType(documentMap, docType, output, inputData) {
+  const typeConfig = getDocumentType(docType);
+  const outputField = typeConfig.outputField;
+
   try {
     const file = documentMap[docType];
     if (!file) {
-      console.log(`[PROCESS] No se encontró archivo para tipo: ${docType}`);
+      log.info(`No se encontró archivo para tipo: ${docType}`);
       output[outputField] = "Documento no adjunto";
+      recordOutcome(docType, "NoAdjunto", "SinArchivo");
       return;
     }
 
-    console.log(
-      `[PROCESS] Archivo encontrado: ${file.fileName} (${formatBytes(
-        file.size
-      )})`
-    );
-
-    const extractedText = await extractTextWithDocumentType(file.path, docType);
+    if (file.error) {
+      throw file.error;
+    }
 
     const dictionary = await getDictionaryForDocumentType(docType);
-    const isValid = await validateTextWithDictionary(extractedText, dictionary);
 
-    console.log(
-      `[PROCESS] Validación ${docType}: ${isValid ? "VÁLIDO" : "INVÁLIDO"}`
-    );
+    let extraction;
+    let dictionaryReport;
+    if (file.candidates) {
+      const best = await selectBestCandidate(file.candidates, docType, dictionary);
+      ({ extraction, dictionaryReport } = best);
+      output[`${outputField}_Archivo`] = best.candidate.fileName;
+      log.info(`Archivo seleccionado de la carpeta para ${docType}`, {
+        fileName: best.candidate.fileName,
+        candidatos: file.candidates.length,
+      });
+    } else {
+      extraction = await extractDocument(file, docType, dictionary);
+      dictionaryReport = await validateTextWithDictionary(
+        extraction.text,
+        dictionary
+      );
+    }
+    output.Metadata.formatosOriginales[docType] =
+      extraction.metadata.originalFormat;
+    const isValid = dictionaryReport.valid;
+
+    log.info(`Validación ${docType}: ${isValid ? "VÁLIDO" : "INVÁLIDO"}`, {
+      matchCount: dictionaryReport.matchCount,
+      matches: dictionaryReport.matches.map(
+        (match) => `${match.term}=${match.score}`
+      ),
+    });
 
     if (isValid) {
-      if (docType === "soporte_prueba_saberProtyt") {
-        const dataTyT = await extractDataTyT(extractedText);
-
-        output.EK = dataTyT.registroEK;
-        output.Num_Documento_Extraido = dataTyT.numDocumento;
-        output.Fecha_Presentacion_Extraida = dataTyT.fechaPresentacion;
-        output.Programa_Extraido = dataTyT.programa;
-        output.Institucion_Extraida = dataTyT.institucion;
-
-        if (dataTyT.numDocumento === inputData.Numero_de_Documento) {
-          output.Num_Doc_Valido = "Valido";
-          console.log(`[PROCESS] Número de documento COINCIDE`);
-        } else {
-          output.Num_Doc_Valido = "Revision Manual";
-          console.log(
-            `[PROCESS] Número de documento NO COINCIDE: ${dataTyT.numDocumento} vs ${inputData.Numero_de_Documento}`
-          );
-        }
+      if (typeConfig.extractor) {
+        const data = await typeConfig.extractor(extraction.text, extraction);
 
-        if (dataTyT.numDocumento === inputData.Numero_de_Documento) {
-          output.Num_Doc_Valido = "Valido";
-          console.log(`[PROCESS] Número de documento COINCIDE`);
-        } else {
-          output.Num_Doc_Valido = "Revision Manual";
-          console.log(
-            `[PROCESS] Número de documento NO COINCIDE: ${dataTyT.numDocumento} vs ${inputData.Numero_de_Documento}`
-          );
-        }
+        for (const [dataKey, field] of Object.entries(
+          typeConfig.outputFields || {}
+        )) {
+          const provenance = data.provenance && data.provenance[dataKey];
+          recordFieldExtraction(docType, field, data[dataKey], provenance);
+          if (provenance) {
+            output.Detalle_Extraccion[field] = {
+              valor: data[dataKey],
+              ...provenance,
+            };
 
-        const palabrasTecnico = ["técnico", "tecnico", "técnica", "tecnica"];
-        const palabrasTecnologo = [
-          "tecnólogo",
-          "tecnologo",
-          "tecnóloga",
-          "tecnologa",
-          "tecnológico",
-          "tecnologico",
-          "tecnologia",
-        ];
-
-        const validarCoincidencia = (texto, palabrasClave) => {
-          return palabrasClave.some((palabra) =>
-            texto.toLowerCase().includes(palabra)
-          );
-        };
-
-        if (inputData.NivelDeFormacion && output.Programa_Extraido?.trim()) {
-          const programaTexto = output.Programa_Extraido.toLowerCase();
-
-          switch (inputData.NivelDeFormacion) {
-            case "Profesional":
-              output.NivelFormacion_Valido = "Valido";
-              break;
-
-            case "Tecnólogo":
-              output.NivelFormacion_Valido = validarCoincidencia(
-                programaTexto,
-                palabrasTecnologo
-              )
-                ? "Valido"
-                : "Invalido";
-              break;
-
-            case "Técnico":
-              output.NivelFormacion_Valido = validarCoincidencia(
-                programaTexto,
-                palabrasTecnico
-              )
-                ? "Valido"
-                : "Invalido";
-              break;
-
-            default:
-              output.NivelFormacion_Valido = "N/A";
-              break;
+            if (provenance.confianza < FIELD_CONFIDENCE_THRESHOLD) {
+              log.info(
+                `Campo ${field} con confianza baja, enviado a revisión manual`,
+                { confianza: provenance.confianza }
+              );
+              data[dataKey] = "Revision Manual";
+            }
           }
-        } else {
-          output.NivelFormacion_Valido = "";
+          output[field] = data[dataKey];
         }
 
-        const dictionaryCUN = await getDictionaryForDocumentType(
-          "cun_institutions"
-        );
-        const validInstitution = await validateTextWithDictionary(
-          dataTyT.institucion,
-          dictionaryCUN
-        );
-
-        if (validInstitution) {
-          output.Institucion_Valida = "Valido";
-          console.log(`[PROCESS] Institución CUN VÁLIDA`);
-        } else {
-          output.Institucion_Valida = "Revision Manual";
-          console.log(`[PROCESS] Institución CUN REQUIERE REVISIÓN`);
+        if (typeConfig.validator) {
+          await typeConfig.validator(data, inputData, output);
         }
       }
 
       output[outputField] = "Documento Valido";
-      console.log(`[PROCESS] ${docType} marcado como VÁLIDO`);
+      log.info(`${docType} marcado como VÁLIDO`);
+      recordOutcome(docType, "Valido", "OK");
     } else {
       output[outputField] = "Revision Manual";
-      console.log(`[PROCESS] ${docType} marcado para REVISIÓN MANUAL`);
+      log.info(`${docType} marcado para REVISIÓN MANUAL`);
+      recordOutcome(docType, "RevisionManual", "Diccionario");
     }
   } catch (error) {
-    console.error(`[PROCESS] Error procesando ${docType}:`, error.message);
-
-    if (error.message.includes("HTML_FILE_DETECTED")) {
-      output[outputField] = "Archivo HTML detectado - Revision Manual";
-    } else if (error.message.includes("NO_TEXT_EXTRACTED")) {
-      output[outputField] = "Sin texto extraíble - Revision Manual";
-    } else if (error.message.includes("PERMISSION_DENIED")) {
-      output[outputField] = "Sin permisos de acceso - Revision Manual";
-    } else if (error.message.includes("DOCUMENT_TOO_LARGE")) {
-      output[outputField] = "Documento muy grande - Revision Manual";
-    } else if (error.message.includes("UNSUPPORTED_FILE_TYPE")) {
-      output[outputField] = "Tipo de archivo no soportado - Revision Manual";
+    log.error(`Error procesando ${docType}`, { error });
+
+    output[outputField] = getErrorStatus(error);
+    output[`${outputField}_errorCode`] = getErrorCode(error);
+
+    // Una foto ilegible no necesita revisor: el CRM pide al aspirante que la
+    // vuelva a cargar con los motivos concretos.
+    if (error instanceof ImageQualityError) {
+      output[`${outputField}_Motivos`] = error.issues.map((issue) => issue.razon);
+      recordOutcome(docType, "NuevaCarga", getErrorCode(error));
     } else {
-      output[outputField] = "Error en procesamiento - Revision Manual";
+      recordOutcome(docType, "RevisionManual", getErrorCode(error));
     }
+  }
+}
+
+async function extractDocument(file, docType, dictionary) {
+  log.info(`Archivo encontrado para ${docType}`, {
+    fileName: file.fileName,
+    size: formatBytes(file.size),
+  });
 
-    console.error(`[PROCESS] Detalle del error para ${docType}:`, {
-      message: error.message,
-      stack: error.stack?.substring(0, 200) + "...",
+  let extraction;
+  let extractionMethod;
+  if (file.cachedResult && file.cachedResult.extraction) {
+    log.info(`Usando extracción en caché para ${docType}`);
+    extraction = file.cachedResult.extraction;
+    extractionMethod = "cache";
+  } else {
+    const prepared = await prepareDocumentForExtraction(file.path);
+    let checked = prepared;
+    try {
+      checked = await assessImageQuality(prepared.path);
+      extraction = await extractTextLayerIfReliable(checked.path, dictionary);
+      if (!extraction) {
+        extraction = await extractTextWithDocumentType(checked.path, docType);
+        putMetric("OcrConfidence", extraction.confidence, "Percent", {
+          DocumentType: docType,
+        });
+      }
+    } finally {
+      // Las copias convertidas o giradas solo sirven para esta extracción.
+      for (const derivedPath of new Set([prepared.path, checked.path])) {
+        if (derivedPath !== file.path) {
+          await fs.remove(derivedPath);
+        }
+      }
+    }
+    extraction.metadata.originalFormat = prepared.originalFormat;
+    if (prepared.convertedTo) {
+      extraction.metadata.convertedTo = prepared.convertedTo;
+    }
+    if (checked.metrics) {
+      extraction.metadata.imageQuality = checked.metrics;
+    }
+    extractionMethod = extraction.metadata.extractionMethod;
+
+    if (file.cacheKey) {
+      await setCachedResult(file.cacheKey, { extraction });
+    }
+  }
+  putMetric("ExtractionMethod", 1, "Count", {
+    DocumentType: docType,
+    Method: extractionMethod,
+  });
+
+  return extraction;
+}
+
+async function selectBestCandidate(candidates, docType, dictionary) {
+  let best = null;
+  const errors = [];
+
+  for (const candidate of candidates) {
+    let file = null;
+    try {
+      file = await candidate.download();
+      const extraction = await extractDocument(file, docType, dictionary);
+      const dictionaryReport = await validateTextWithDictionary(
+        extraction.text,
+        dictionary
+      );
+      const score = dictionaryReport.matches.reduce(
+        (total, match) => total + match.score,
+        0
+      );
+
+      if (
+        !best ||
+        dictionaryReport.valid > best.dictionaryReport.valid ||
+        (dictionaryReport.valid === best.dictionaryReport.valid &&
+          score > best.score)
+      ) {
+        if (best) {
+          await discardFile(best.candidate);
+        }
+        best = { candidate: file, extraction, dictionaryReport, score };
+      } else {
+        await discardFile(file);
+      }
+    } catch (error) {
+      errors.push(error);
+      log.warn(`Candidato ${candidate.fileName} descartado para ${docType}`, {
+        error,
+      });
+      if (file) {
+        await discardFile(file);
+      }
+    }
+  }
+
+  if (!best) {
+    // Si algún archivo falló por calidad de imagen, ese motivo sí le sirve al
+    // aspirante para volver a cargarlo; si no, se reporta el del más reciente.
+    throw errors.find((error) => error instanceof ImageQualityError) || errors[0];
+  }
+  return best;
+}
+
+async function discardFile(file) {
+  if (file.path) {
+    await fs.remove(file.path);
+  }
+}
+
+function recordOutcome(docType, outcome, reason) {
+  putMetric("DocumentOutcome", 1, "Count", {
+    DocumentType: docType,
+    Outcome: outcome,
+    Reason: reason,
+  });
+
+  if (outcome !== "NoAdjunto") {
+    putMetric("ManualReviewRate", outcome === "RevisionManual" ? 1 : 0, "None", {
+      DocumentType: docType,
+    });
+  }
+}
+
+function recordFieldExtraction(docType, field, value, provenance) {
+  const metrics = [
+    { name: "FieldExtracted", value: hasExtractedValue(value) ? 1 : 0 },
+  ];
+  if (provenance) {
+    metrics.push({
+      name: "FieldFallback",
+      value: provenance.estrategia === "formulario" ? 0 : 1,
     });
   }
+  putMetrics(
+    metrics.map((metric) => ({ ...metric, unit: "None" })),
+    { DocumentType: docType, Field: field }
+  );
+}
+
+// Los extractores dejan "Extracción Manual" o null cuando no encuentran el
+// campo; un objeto como los puntajes cuenta si trae al menos un valor.
+function hasExtractedValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return false;
+  }
+  if (typeof value === "object") {
+    return Object.values(value).some(hasExtractedValue);
+  }
+  return value !== "Extracción Manual";
 }
 
 function formatBytes(bytes) {
@@ -0,0 +1,182 @@
+const { DOCUMENT_TYPES } = require("./documentTypes");
+const {
+  detectSourceType,
+  extractFileIdFromUrl,
+  extractFolderIdFromUrl,
+} = require("./documentSources");
+const { parseRequestDate } = require("../utils/dateUtils");
+
+const NIVELES_DE_FORMACION = ["Profesional", "Tecnólogo", "Técnico"];
+
+const REQUEST_SCHEMA = {
+  Numero_de_Documento: {
+    required: true,
+    type: "string",
+    pattern: /^\d{6,10}$/,
+    message: "Debe contener solo dígitos (entre 6 y 10)",
+  },
+  Nombre_completo: {
+    required: true,
+    type: "string",
+    pattern: /[A-Za-zÁÉÍÓÚÑáéíóúñ]/,
+    message: "Debe contener el nombre del aspirante",
+  },
+  NivelDeFormacion: {
+    required: true,
+    type: "string",
+    allowed: NIVELES_DE_FORMACION,
+  },
+  Fecha_Solicitud: {
+    type: "string",
+    check: (value) => Boolean(parseRequestDate(value)),
+    message: "Debe tener formato AAAA-MM-DD o DD/MM/AAAA",
+  },
+  forceRefresh: {
+    type: "boolean",
+  },
+};
+
+function getBatchRecords(requestBody) {
+  if (Array.isArray(requestBody)) {
+    return requestBody;
+  }
+  if (requestBody && Array.isArray(requestBody.applicants)) {
+    return requestBody.applicants;
+  }
+  return null;
+}
+
+function validateApplicant(record, prefix = "") {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    return [
+      {
+        campo: prefix.replace(/\.$/, "") || "body",
+        mensaje: "Debe ser un objeto JSON",
+      },
+    ];
+  }
+
+  const errores = [];
+  const addError = (campo, mensaje) => {
+    errores.push({ campo: `${prefix}${campo}`, mensaje });
+  };
+
+  for (const [campo, rule] of Object.entries(REQUEST_SCHEMA)) {
+    const value = record[campo];
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) {
+        addError(campo, "Campo obligatorio");
+      }
+      continue;
+    }
+
+    if (typeof value !== rule.type) {
+      addError(campo, `Debe ser de tipo ${rule.type}`);
+      continue;
+    }
+
+    if (rule.allowed && !rule.allowed.includes(value)) {
+      addError(campo, `Valor no permitido, use uno de: ${rule.allowed.join(", ")}`);
+    } else if (rule.pattern && !rule.pattern.test(value.trim())) {
+      addError(campo, rule.message);
+    } else if (rule.check && !rule.check(value)) {
+      addError(campo, rule.message);
+    }
+  }
+
+  const knownFields = new Set(Object.keys(REQUEST_SCHEMA));
+
+  for (const typeConfig of Object.values(DOCUMENT_TYPES)) {
+    knownFields.add(typeConfig.inputField);
+    const value = record[typeConfig.inputField];
+
+    if (value === undefined || value === null || value === "") {
+      if (typeConfig.required) {
+        addError(typeConfig.inputField, "Campo obligatorio");
+      }
+      continue;
+    }
+
+    const sourceError = getSourceError(value);
+    if (sourceError) {
+      addError(typeConfig.inputField, sourceError);
+    }
+  }
+
+  for (const campo of Object.keys(record)) {
+    if (campo.startsWith("Soporte_") && !knownFields.has(campo)) {
+      addError(campo, "Campo de documento desconocido");
+    }
+  }
+
+  return errores;
+}
+
+const DRIVE_HOSTS = ["drive.google.com", "docs.google.com"];
+
+// Devuelve el motivo por el que el valor no sirve como origen del documento,
+// o null si la descarga lo puede interpretar.
+function getSourceError(value) {
+  const sourceType = detectSourceType(value);
+  if (!sourceType) {
+    return "URL no válida, use un enlace de Google Drive, s3://, https:// o contenido base64";
+  }
+  if (sourceType === "base64") {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(value.trim());
+  } catch (error) {
+    return "URL mal formada";
+  }
+
+  if (sourceType === "drive") {
+    if (parsed.protocol !== "https:" || !DRIVE_HOSTS.includes(parsed.hostname)) {
+      return "El enlace de Google Drive debe empezar por https://drive.google.com o https://docs.google.com";
+    }
+    if (!extractFolderIdFromUrl(parsed.pathname) && !hasDriveFileId(value)) {
+      return "El enlace de Google Drive no contiene el ID de un archivo o carpeta";
+    }
+  } else if (sourceType === "s3") {
+    if (!parsed.hostname || parsed.pathname.length <= 1) {
+      return "Use el formato s3://bucket/ruta/del/archivo";
+    }
+  } else if (!parsed.hostname) {
+    return "La URL https:// no indica un host";
+  }
+  return null;
+}
+
+function hasDriveFileId(url) {
+  try {
+    return Boolean(extractFileIdFromUrl(url));
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateRequestBody(requestBody) {
+  const batchRecords = getBatchRecords(requestBody);
+  if (!batchRecords) {
+    return validateApplicant(requestBody);
+  }
+
+  // Los registros se validan uno a uno en processBatch, que reporta los
+  // inválidos como ERROR sin afectar a los demás.
+  if (batchRecords.length === 0) {
+    const basePath = Array.isArray(requestBody) ? "" : "applicants";
+    return [
+      { campo: basePath || "body", mensaje: "El lote no contiene registros" },
+    ];
+  }
+  return [];
+}
+
+module.exports = {
+  getBatchRecords,
+  validateApplicant,
+  validateRequestBody,
+};
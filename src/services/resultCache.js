@@ -0,0 +1,229 @@
+const AWS = require("aws-sdk");
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { ConfigurationError } = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("CACHE");
+
+const CACHE_VERSION = "v1";
+
+const RESULT_CACHE_CONFIG = {
+  type: process.env.RESULT_CACHE || "memory",
+  directory: process.env.RESULT_CACHE_DIR || path.join(os.tmpdir(), "lambda-tyt-cache"),
+  tableName: process.env.RESULT_CACHE_TABLE || "",
+  bucket: process.env.RESULT_CACHE_BUCKET || "",
+  prefix: process.env.RESULT_CACHE_PREFIX || "result-cache/",
+  ttlSeconds: parseInt(process.env.RESULT_CACHE_TTL_SECONDS || "2592000", 10),
+  maxMemoryEntries: parseInt(process.env.RESULT_CACHE_MAX_ENTRIES || "200", 10),
+};
+
+function isExpired(entry) {
+  return !entry || (entry.expiresAt && entry.expiresAt < Date.now());
+}
+
+function wrapEntry(value) {
+  return {
+    value,
+    expiresAt: Date.now() + RESULT_CACHE_CONFIG.ttlSeconds * 1000,
+  };
+}
+
+function createMemoryCache(maxEntries = RESULT_CACHE_CONFIG.maxMemoryEntries) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (isExpired(entry)) {
+        entries.delete(key);
+        return null;
+      }
+      return JSON.parse(JSON.stringify(entry.value));
+    },
+    async set(key, value) {
+      entries.delete(key);
+      entries.set(key, wrapEntry(JSON.parse(JSON.stringify(value))));
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+function createFileCache(directory = RESULT_CACHE_CONFIG.directory) {
+  const entryPath = (key) =>
+    path.join(directory, `${crypto.createHash("sha256").update(key).digest("hex")}.json`);
+
+  return {
+    async get(key) {
+      const filePath = entryPath(key);
+      if (!(await fs.pathExists(filePath))) {
+        return null;
+      }
+      const entry = await fs.readJson(filePath);
+      if (isExpired(entry)) {
+        await fs.remove(filePath);
+        return null;
+      }
+      return entry.value;
+    },
+    async set(key, value) {
+      await fs.ensureDir(directory);
+      await fs.writeJson(entryPath(key), wrapEntry(value));
+    },
+  };
+}
+
+function createDynamoCache(tableName = RESULT_CACHE_CONFIG.tableName) {
+  if (!tableName) {
+    throw new ConfigurationError("RESULT_CACHE_NOT_CONFIGURED", "Falta RESULT_CACHE_TABLE");
+  }
+
+  const client = new AWS.DynamoDB.DocumentClient({
+    endpoint: process.env.DYNAMODB_ENDPOINT || undefined,
+  });
+
+  return {
+    async get(key) {
+      const { Item } = await client
+        .get({ TableName: tableName, Key: { cacheKey: key } })
+        .promise();
+      if (!Item || (Item.expiresAt && Item.expiresAt * 1000 < Date.now())) {
+        return null;
+      }
+      return JSON.parse(Item.value);
+    },
+    async set(key, value) {
+      await client
+        .put({
+          TableName: tableName,
+          Item: {
+            cacheKey: key,
+            value: JSON.stringify(value),
+            expiresAt: Math.floor(Date.now() / 1000) + RESULT_CACHE_CONFIG.ttlSeconds,
+          },
+        })
+        .promise();
+    },
+  };
+}
+
+function createS3Cache(bucket = RESULT_CACHE_CONFIG.bucket, prefix = RESULT_CACHE_CONFIG.prefix) {
+  if (!bucket) {
+    throw new ConfigurationError("RESULT_CACHE_NOT_CONFIGURED", "Falta RESULT_CACHE_BUCKET");
+  }
+
+  const s3 = new AWS.S3({
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    s3ForcePathStyle: Boolean(process.env.S3_ENDPOINT),
+  });
+  const objectKey = (key) =>
+    `${prefix}${crypto.createHash("sha256").update(key).digest("hex")}.json`;
+
+  return {
+    async get(key) {
+      try {
+        const { Body } = await s3
+          .getObject({ Bucket: bucket, Key: objectKey(key) })
+          .promise();
+        const entry = JSON.parse(Body.toString("utf8"));
+        return isExpired(entry) ? null : entry.value;
+      } catch (error) {
+        if (error.code === "NoSuchKey" || error.statusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async set(key, value) {
+      await s3
+        .putObject({
+          Bucket: bucket,
+          Key: objectKey(key),
+          Body: JSON.stringify(wrapEntry(value)),
+          ContentType: "application/json",
+        })
+        .promise();
+    },
+  };
+}
+
+function createNoopCache() {
+  return {
+    async get() {
+      return null;
+    },
+    async set() {},
+  };
+}
+
+let resultCache = null;
+
+function getResultCache() {
+  if (!resultCache) {
+    switch (RESULT_CACHE_CONFIG.type) {
+      case "memory":
+        resultCache = createMemoryCache();
+        break;
+      case "file":
+        resultCache = createFileCache();
+        break;
+      case "dynamodb":
+        resultCache = createDynamoCache();
+        break;
+      case "s3":
+        resultCache = createS3Cache();
+        break;
+      case "none":
+        resultCache = createNoopCache();
+        break;
+      default:
+        throw new ConfigurationError(
+          "RESULT_CACHE_NOT_CONFIGURED",
+          `Tipo de caché desconocido ${RESULT_CACHE_CONFIG.type}`
+        );
+    }
+    log.info(`Caché de resultados: ${RESULT_CACHE_CONFIG.type}`);
+  }
+  return resultCache;
+}
+
+function setResultCache(cache) {
+  resultCache = cache;
+}
+
+function buildDriveCacheKey(fileId, revision, docType) {
+  return `${CACHE_VERSION}:drive:${fileId}:${revision}:${docType}`;
+}
+
+async function getCachedResult(key) {
+  try {
+    return await getResultCache().get(key);
+  } catch (error) {
+    log.warn(`Error leyendo caché`, { error });
+    return null;
+  }
+}
+
+async function setCachedResult(key, value) {
+  try {
+    await getResultCache().set(key, value);
+  } catch (error) {
+    log.warn(`Error escribiendo caché`, { error });
+  }
+}
+
+module.exports = {
+  createMemoryCache,
+  createFileCache,
+  createDynamoCache,
+  createS3Cache,
+  getResultCache,
+  setResultCache,
+  buildDriveCacheKey,
+  getCachedResult,
+  setCachedResult,
+};
@@ -1,24 +1,42 @@
 const AWS = require("aws-sdk");
 const fs = require("fs-extra");
-
+const crypto = require("crypto");
+const pdfParse = require("pdf-parse/lib/pdf-parse.js");
+
+const { getDocumentType } = require("./documentTypes");
+const { detectFileType } = require("./documentConversion");
+const {
+  AppError,
+  DocumentValidationError,
+  ExtractionError,
+} = require("../utils/errors");
+const { createLogger } = require("../utils/logger");
+const { putMetrics } = require("../utils/metrics");
+const { withResilience } = require("../utils/resilience");
+
+const log = createLogger("TEXTRACT");
+
+// Los reintentos los hace withResilience; si el SDK también reintentara, cada
+// intento lógico se multiplicaría y el circuito vería los fallos tarde.
 const textract = new AWS.Textract({
+  endpoint: process.env.TEXTRACT_ENDPOINT || undefined,
+  maxRetries: 0,
   httpOptions: {
     timeout: 60000,
-    retries: 3,
   },
 });
 
-const DOCUMENT_FEATURES = {
-  cedula: ['FORMS', 'SIGNATURES'],
-  diploma_bachiller: ['FORMS', 'TABLES'],
-  diploma_tecnico: ['FORMS', 'TABLES'],
-  diploma_tecnologo: ['FORMS', 'TABLES'],
-  titulo_profesional: ['FORMS', 'TABLES'],
-  prueba_tt: ['FORMS', 'TABLES', 'LAYOUT'],
-  icfes: ['FORMS', 'TABLES', 'LAYOUT'],
-  recibo_pago: ['FORMS', 'TABLES'],
-  encuesta_m0: ['FORMS'],
-  acta_homologacion: ['FORMS', 'TABLES']
+const stagingS3 = new AWS.S3({
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  s3ForcePathStyle: Boolean(process.env.S3_ENDPOINT),
+  maxRetries: 0,
+});
+
+const ASYNC_CONFIG = {
+  stagingBucket: process.env.TEXTRACT_STAGING_BUCKET || "",
+  stagingPrefix: process.env.TEXTRACT_STAGING_PREFIX || "textract-staging/",
+  pollIntervalMs: parseInt(process.env.TEXTRACT_POLL_INTERVAL_MS || "2000", 10),
+  timeoutMs: parseInt(process.env.TEXTRACT_ASYNC_TIMEOUT_MS || "240000", 10),
 };
 
 const SIZE_LIMITS = {
@@ -28,8 +46,11 @@ const SIZE_LIMITS = {
 
 
 async function extractTextFromDocument(filePath, documentType = null) {
+  const finished = log.startTimer();
+  const startedAt = Date.now();
+
   try {
-    console.log(`[TEXTRACT] Iniciando extracción para: ${filePath}`);
+    log.info(`Iniciando extracción para: ${filePath}`);
     
     const documentBuffer = await fs.readFile(filePath);
 
@@ -37,18 +58,40 @@ async function extractTextFromDocument(filePath, documentType = null) {
 
     const useAnalyze = shouldUseAnalyzeDocument(documentBuffer.length, documentType);
     
+    const useAsync = await requiresAsyncProcessing(documentBuffer);
+
     let result;
     if (useAnalyze) {
-      result = await extractWithAnalyzeDocument(documentBuffer, documentType);
+      result = await extractWithAnalyzeDocument(documentBuffer, documentType, useAsync);
+    } else if (useAsync) {
+      result = await extractWithDetectDocumentAsync(documentBuffer);
     } else {
       result = await extractWithDetectDocument(documentBuffer);
     }
-    
+
+    const method = result.metadata.fallbackFrom
+      ? 'fallback'
+      : useAnalyze ? 'analyze' : 'detect';
+    putMetrics([
+      { name: 'TextractRequests', value: 1, unit: 'Count' },
+      { name: 'TextractLatency', value: Date.now() - startedAt, unit: 'Milliseconds' }
+    ], { Method: method });
+
+    finished('Extracción finalizada', {
+      documentType,
+      extractionMethod: result.metadata.extractionMethod
+    });
     return result;
     
   } catch (error) {
-    console.error(`[TEXTRACT] Error en extracción:`, error.message);
-    throw error;
+    log.error(`Error en extracción`, { error });
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new ExtractionError('TEXTRACT_ERROR', error.message, {
+      retryable: Boolean(error.retryable),
+      cause: error
+    });
   }
 }
 
@@ -58,49 +101,29 @@ async function validateDocument(documentBuffer, filePath) {
   if (headerCheck.startsWith("<!DOCTYPE") || 
       headerCheck.startsWith("<html") || 
       headerCheck.startsWith("<!do")) {
-    throw new Error("HTML_FILE_DETECTED");
+    throw new DocumentValidationError("HTML_FILE_DETECTED");
   }
 
   if (documentBuffer.length < 100) {
-    throw new Error("DOCUMENT_TOO_SMALL");
+    throw new DocumentValidationError("DOCUMENT_TOO_SMALL");
   }
   
   if (documentBuffer.length > SIZE_LIMITS.ASYNC_BYTES) {
-    throw new Error("DOCUMENT_TOO_LARGE");
+    throw new DocumentValidationError("DOCUMENT_TOO_LARGE");
   }
 
   const fileType = detectFileType(documentBuffer);
   if (!['PDF', 'PNG', 'JPEG', 'TIFF'].includes(fileType)) {
-    throw new Error(`UNSUPPORTED_FILE_TYPE: ${fileType}`);
-  }
-  
-  console.log(`[TEXTRACT] Documento validado - Tipo: ${fileType}, Tamaño: ${formatBytes(documentBuffer.length)}`);
-}
-
-function detectFileType(buffer) {
-  const header = buffer.slice(0, 8);
-  
-  if (header[0] === 0x25 && header[1] === 0x50 && header[2] === 0x44 && header[3] === 0x46) {
-    return 'PDF';
-  }
-  if (header[0] === 0x89 && header[1] === 0x50 && header[2] === 0x4E && header[3] === 0x47) {
-    return 'PNG';
-  }
-  if (header[0] === 0xFF && header[1] === 0xD8 && header[2] === 0xFF) {
-    return 'JPEG';
-  }
-  if ((header[0] === 0x49 && header[1] === 0x49) || (header[0] === 0x4D && header[1] === 0x4D)) {
-    return 'TIFF';
+    throw new DocumentValidationError("UNSUPPORTED_FILE_TYPE", fileType);
   }
   
-  return 'UNKNOWN';
+  log.info(`Documento validado - Tipo: ${fileType}, Tamaño: ${formatBytes(documentBuffer.length)}`);
 }
 
 function shouldUseAnalyzeDocument(fileSize, documentType) {
+  const typeConfig = getDocumentType(documentType);
 
-  const structuredDocuments = ['soporte_prueba_saberProtyt'];
-
-  if (documentType && structuredDocuments.includes(documentType)) {
+  if (typeConfig && typeConfig.structured) {
     return true;
   }
 
@@ -111,9 +134,9 @@ function shouldUseAnalyzeDocument(fileSize, documentType) {
   return true;
 }
 
-async function extractWithAnalyzeDocument(documentBuffer, documentType) {
+async function extractWithAnalyzeDocument(documentBuffer, documentType, useAsync) {
   try {
-    console.log(`[TEXTRACT] Usando analyzeDocument para tipo: ${documentType}`);
+    log.info(`Usando analyzeDocument para tipo: ${documentType}`);
     
     const features = getFeatureTypesForDocument(documentType);
     
@@ -125,52 +148,75 @@ async function extractWithAnalyzeDocument(documentBuffer, documentType) {
     };
 
     let result;
-    if (documentBuffer.length <= SIZE_LIMITS.SYNC_BYTES) {
-      result = await textract.analyzeDocument(params).promise();
+    let method = useAsync ? 'startDocumentAnalysis' : 'analyzeDocument';
+    if (!useAsync) {
+      try {
+        result = await withResilience('textract', () =>
+          textract.analyzeDocument(params).promise()
+        );
+      } catch (error) {
+        if (!isUnsupportedDocument(error)) {
+          throw error;
+        }
+        log.warn(`analyzeDocument no acepta el documento, se reintenta asíncrono`, { error });
+        result = await analyzeDocumentAsync(documentBuffer, features);
+        method = 'startDocumentAnalysis';
+      }
     } else {
       result = await analyzeDocumentAsync(documentBuffer, features);
     }
 
-    return processAnalyzeResult(result, documentType);
+    return processAnalyzeResult(result, documentType, method);
     
   } catch (error) {
-    console.warn(`[TEXTRACT] Error en analyzeDocument, fallback a detectDocument:`, error.message);
-    return await extractWithDetectDocument(documentBuffer);
+    log.warn(`Error en analyzeDocument, fallback a detectDocument`, { error });
+    const fallbackResult = useAsync
+      ? await extractWithDetectDocumentAsync(documentBuffer)
+      : await extractWithDetectDocument(documentBuffer);
+    fallbackResult.metadata.fallbackFrom = 'analyzeDocument';
+    return fallbackResult;
   }
 }
 
 function getFeatureTypesForDocument(documentType) {
-  if (!documentType || !DOCUMENT_FEATURES[documentType]) {
+  const typeConfig = getDocumentType(documentType);
+  if (!typeConfig || !typeConfig.features) {
     return ['FORMS']; // Default
   }
-  return DOCUMENT_FEATURES[documentType];
+  return typeConfig.features;
 }
 
-function processAnalyzeResult(result, documentType) {
+function processAnalyzeResult(result, documentType, extractionMethod = 'analyzeDocument') {
   const extractedData = {
     text: '',
     confidence: 0,
     forms: [],
     tables: [],
     layout: [],
+    lines: [],
     metadata: {
       totalBlocks: result.Blocks ? result.Blocks.length : 0,
       documentType: documentType,
-      extractionMethod: 'analyzeDocument'
+      extractionMethod: extractionMethod
     }
   };
   
   if (!result.Blocks || result.Blocks.length === 0) {
-    throw new Error("NO_TEXT_EXTRACTED");
+    throw new ExtractionError("NO_TEXT_EXTRACTED");
   }
   
   let confidenceSum = 0;
   let confidenceCount = 0;
+
+  // Un resultado asíncrono trae miles de bloques: se indexan una vez por Id
+  // en vez de recorrer la lista en cada relación.
+  const blocksById = new Map(result.Blocks.map(block => [block.Id, block]));
   
   // Procesar diferentes tipos de bloques
   result.Blocks.forEach(block => {
     switch (block.BlockType) {
       case 'LINE':
+        extractedData.lines.push(lineSpan(block, extractedData.text.length));
         extractedData.text += block.Text + ' ';
         if (block.Confidence) {
           confidenceSum += block.Confidence;
@@ -180,12 +226,12 @@ function processAnalyzeResult(result, documentType) {
         
       case 'KEY_VALUE_SET':
         if (block.EntityTypes && block.EntityTypes.includes('KEY')) {
-          extractedData.forms.push(processKeyValuePair(block, result.Blocks));
+          extractedData.forms.push(processKeyValuePair(block, blocksById));
         }
         break;
         
       case 'TABLE':
-        extractedData.tables.push(processTable(block, result.Blocks));
+        extractedData.tables.push(processTable(block, blocksById));
         break;
         
       case 'LAYOUT':
@@ -203,26 +249,34 @@ function processAnalyzeResult(result, documentType) {
   extractedData.text = extractedData.text.trim();
   
   if (extractedData.text.length === 0) {
-    throw new Error("NO_TEXT_EXTRACTED");
+    throw new ExtractionError("NO_TEXT_EXTRACTED");
   }
   
-  console.log(`[TEXTRACT] Extracción completada - Confianza: ${extractedData.confidence.toFixed(2)}%`);
+  log.info(`Extracción completada - Confianza: ${extractedData.confidence.toFixed(2)}%`);
+
+  return extractedData;
+}
 
-  return extractedData.text;
+// Posición de cada LINE dentro del texto unido, para que los extractores den a
+// un patrón la confianza de las líneas donde lo encontraron.
+function lineSpan(block, start) {
+  return {
+    start,
+    end: start + block.Text.length,
+    confidence: block.Confidence
+  };
 }
 
-function processKeyValuePair(keyBlock, allBlocks) {
-  const keyText = getBlockText(keyBlock, allBlocks);
+function processKeyValuePair(keyBlock, blocksById) {
+  const keyText = getBlockText(keyBlock, blocksById);
   let valueText = '';
 
   if (keyBlock.Relationships) {
     const valueRelation = keyBlock.Relationships.find(rel => rel.Type === 'VALUE');
     if (valueRelation && valueRelation.Ids) {
-      const valueBlocks = valueRelation.Ids.map(id => 
-        allBlocks.find(block => block.Id === id)
-      ).filter(Boolean);
+      const valueBlocks = valueRelation.Ids.map(id => blocksById.get(id)).filter(Boolean);
       
-      valueText = valueBlocks.map(block => getBlockText(block, allBlocks)).join(' ');
+      valueText = valueBlocks.map(block => getBlockText(block, blocksById)).join(' ');
     }
   }
   
@@ -234,7 +288,7 @@ function processKeyValuePair(keyBlock, allBlocks) {
 }
 
 
-function processTable(tableBlock, allBlocks) {
+function processTable(tableBlock, blocksById) {
   const table = {
     rows: [],
     confidence: tableBlock.Confidence
@@ -243,9 +297,8 @@ function processTable(tableBlock, allBlocks) {
   if (tableBlock.Relationships) {
     const cellRelation = tableBlock.Relationships.find(rel => rel.Type === 'CHILD');
     if (cellRelation && cellRelation.Ids) {
-      const cells = cellRelation.Ids.map(id => 
-        allBlocks.find(block => block.Id === id && block.BlockType === 'CELL')
-      ).filter(Boolean);
+      const cells = cellRelation.Ids.map(id => blocksById.get(id))
+        .filter(block => block && block.BlockType === 'CELL');
 
       const cellMatrix = {};
       cells.forEach(cell => {
@@ -253,7 +306,7 @@ function processTable(tableBlock, allBlocks) {
         const col = cell.ColumnIndex || 1;
         
         if (!cellMatrix[row]) cellMatrix[row] = {};
-        cellMatrix[row][col] = getBlockText(cell, allBlocks);
+        cellMatrix[row][col] = getBlockText(cell, blocksById);
       });
 
       Object.keys(cellMatrix).sort((a, b) => parseInt(a) - parseInt(b)).forEach(rowNum => {
@@ -271,14 +324,14 @@ function processTable(tableBlock, allBlocks) {
 }
 
 
-function getBlockText(block, allBlocks) {
+function getBlockText(block, blocksById) {
   let text = block.Text || '';
   
   if (block.Relationships) {
     const childRelation = block.Relationships.find(rel => rel.Type === 'CHILD');
     if (childRelation && childRelation.Ids) {
       const childTexts = childRelation.Ids.map(id => {
-        const childBlock = allBlocks.find(b => b.Id === id);
+        const childBlock = blocksById.get(id);
         return childBlock ? (childBlock.Text || '') : '';
       }).filter(Boolean);
       
@@ -292,27 +345,160 @@ function getBlockText(block, allBlocks) {
 }
 
 
+async function requiresAsyncProcessing(documentBuffer) {
+  if (documentBuffer.length > SIZE_LIMITS.SYNC_BYTES) {
+    return true;
+  }
+  return detectFileType(documentBuffer) === 'PDF' && (await countPdfPages(documentBuffer)) > 1;
+}
+
+// Los PDF 1.5+ suelen guardar las páginas en object streams comprimidos, donde
+// los marcadores /Type /Page no se ven en los bytes; pdf-parse lee el árbol de
+// páginas real. Los marcadores quedan solo para PDF que pdf-parse no abre.
+async function countPdfPages(documentBuffer) {
+  try {
+    const parsed = await pdfParse(toPlainBytes(documentBuffer), {
+      max: 1,
+      pagerender: () => ''
+    });
+    return parsed.numpages;
+  } catch (error) {
+    log.warn(`pdf-parse no pudo contar las páginas, se usan los marcadores del PDF`, { error });
+    return countPdfPageMarkers(documentBuffer);
+  }
+}
+
+// El pdf.js de pdf-parse no lee xref ni object streams si recibe un Buffer
+// de Node; con una vista Uint8Array sobre la misma memoria sí.
+function toPlainBytes(documentBuffer) {
+  return new Uint8Array(
+    documentBuffer.buffer,
+    documentBuffer.byteOffset,
+    documentBuffer.length
+  );
+}
+
+function countPdfPageMarkers(documentBuffer) {
+  const content = documentBuffer.toString('latin1');
+  const pageObjects = (content.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+
+  let declaredCount = 0;
+  const countRegex = /\/Type\s*\/Pages[\s\S]{0,200}?\/Count\s+(\d+)/g;
+  let match;
+  while ((match = countRegex.exec(content)) !== null) {
+    declaredCount = Math.max(declaredCount, parseInt(match[1], 10));
+  }
+
+  return Math.max(pageObjects, declaredCount, 1);
+}
+
 async function analyzeDocumentAsync(documentBuffer, features) {
+  return await runAsyncTextractJob(documentBuffer, {
+    start: (documentLocation) => withResilience('textract', () =>
+      textract.startDocumentAnalysis({
+        DocumentLocation: documentLocation,
+        FeatureTypes: features
+      }).promise()
+    ),
+    get: (params) => withResilience('textract', () =>
+      textract.getDocumentAnalysis(params).promise()
+    )
+  });
+}
 
-  const params = {
-    Document: {
-      Bytes: documentBuffer,
-    },
-    FeatureTypes: features
+async function extractWithDetectDocumentAsync(documentBuffer) {
+  log.info(`Usando startDocumentTextDetection (asíncrono)`);
+
+  const result = await runAsyncTextractJob(documentBuffer, {
+    start: (documentLocation) => withResilience('textract', () =>
+      textract.startDocumentTextDetection({
+        DocumentLocation: documentLocation
+      }).promise()
+    ),
+    get: (params) => withResilience('textract', () =>
+      textract.getDocumentTextDetection(params).promise()
+    )
+  });
+
+  return processDetectResult(result, 'startDocumentTextDetection');
+}
+
+async function runAsyncTextractJob(documentBuffer, operations) {
+  if (!ASYNC_CONFIG.stagingBucket) {
+    throw new ExtractionError("ASYNC_NOT_CONFIGURED", "Falta TEXTRACT_STAGING_BUCKET");
+  }
+
+  const stagingKey = `${ASYNC_CONFIG.stagingPrefix}${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+
+  log.info(`Subiendo documento a s3://${ASYNC_CONFIG.stagingBucket}/${stagingKey}`);
+  await withResilience('s3', () => stagingS3.putObject({
+    Bucket: ASYNC_CONFIG.stagingBucket,
+    Key: stagingKey,
+    Body: documentBuffer
+  }).promise());
+
+  try {
+    const { JobId } = await operations.start({
+      S3Object: {
+        Bucket: ASYNC_CONFIG.stagingBucket,
+        Name: stagingKey
+      }
+    });
+    log.info(`Trabajo asíncrono iniciado: ${JobId}`);
+
+    return await collectAsyncJobResults(JobId, operations.get);
+  } finally {
+    try {
+      await stagingS3.deleteObject({
+        Bucket: ASYNC_CONFIG.stagingBucket,
+        Key: stagingKey
+      }).promise();
+    } catch (cleanupError) {
+      log.warn(`No se pudo eliminar el documento temporal de S3: ${cleanupError.message}`);
+    }
+  }
+}
+
+async function collectAsyncJobResults(jobId, getResults) {
+  const deadline = Date.now() + ASYNC_CONFIG.timeoutMs;
+
+  let response = await getResults({ JobId: jobId });
+  while (response.JobStatus === 'IN_PROGRESS') {
+    if (Date.now() > deadline) {
+      throw new ExtractionError("ASYNC_TIMEOUT", `El trabajo ${jobId} no terminó a tiempo`);
+    }
+    await sleep(ASYNC_CONFIG.pollIntervalMs);
+    response = await getResults({ JobId: jobId });
+  }
+
+  if (response.JobStatus !== 'SUCCEEDED' && response.JobStatus !== 'PARTIAL_SUCCESS') {
+    throw new ExtractionError("ASYNC_JOB_FAILED", response.StatusMessage || response.JobStatus);
+  }
+
+  const blocks = [...(response.Blocks || [])];
+  let pages = 1;
+  let nextToken = response.NextToken;
+  while (nextToken) {
+    const page = await getResults({ JobId: jobId, NextToken: nextToken });
+    blocks.push(...(page.Blocks || []));
+    nextToken = page.NextToken;
+    pages++;
+  }
+
+  log.info(`Trabajo ${jobId} completado - ${blocks.length} bloques en ${pages} página(s) de resultados`);
+
+  return {
+    Blocks: blocks,
+    DocumentMetadata: response.DocumentMetadata
   };
+}
 
-  const extendedTextract = new AWS.Textract({
-    httpOptions: {
-      timeout: 120000, // 2 minutos
-      retries: 5,
-    },
-  });
-  
-  return await extendedTextract.analyzeDocument(params).promise();
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
 async function extractWithDetectDocument(documentBuffer) {
-  console.log(`[TEXTRACT] Usando detectDocumentText (método básico)`);
+  log.info(`Usando detectDocumentText (método básico)`);
   
   const params = {
     Document: {
@@ -320,15 +506,38 @@ async function extractWithDetectDocument(documentBuffer) {
     },
   };
   
-  const result = await textract.detectDocumentText(params).promise();
-  
+  let result;
+  try {
+    result = await withResilience('textract', () =>
+      textract.detectDocumentText(params).promise()
+    );
+  } catch (error) {
+    if (!isUnsupportedDocument(error)) {
+      throw error;
+    }
+    log.warn(`detectDocumentText no acepta el documento, se reintenta asíncrono`, { error });
+    return extractWithDetectDocumentAsync(documentBuffer);
+  }
+
+  return processDetectResult(result, 'detectDocumentText');
+}
+
+// Las APIs síncronas solo aceptan PDF de una página; si el conteo previo se
+// equivocó, Textract lo rechaza con esta excepción y la vía asíncrona sí sirve.
+function isUnsupportedDocument(error) {
+  return error.code === 'UnsupportedDocumentException';
+}
+
+function processDetectResult(result, extractionMethod) {
   let extractedText = "";
+  const lines = [];
   let confidenceSum = 0;
   let confidenceCount = 0;
   
   if (result.Blocks && result.Blocks.length > 0) {
     result.Blocks.forEach((block) => {
       if (block.BlockType === "LINE") {
+        lines.push(lineSpan(block, extractedText.length));
         extractedText += block.Text + " ";
         if (block.Confidence) {
           confidenceSum += block.Confidence;
@@ -339,14 +548,25 @@ async function extractWithDetectDocument(documentBuffer) {
   }
   
   const avgConfidence = confidenceCount > 0 ? confidenceSum / confidenceCount : 0;
-  console.log(`[TEXTRACT] Confianza promedio: ${avgConfidence.toFixed(2)}%`);
+  log.info(`Confianza promedio: ${avgConfidence.toFixed(2)}%`);
   
   const trimmedText = extractedText.trim();
   if (trimmedText.length === 0) {
-    throw new Error("NO_TEXT_EXTRACTED");
+    throw new ExtractionError("NO_TEXT_EXTRACTED");
   }
   
-  return trimmedText;
+  return {
+    text: trimmedText,
+    confidence: avgConfidence,
+    forms: [],
+    tables: [],
+    layout: [],
+    lines,
+    metadata: {
+      totalBlocks: result.Blocks ? result.Blocks.length : 0,
+      extractionMethod: extractionMethod
+    }
+  };
 }
 
 
@@ -0,0 +1,292 @@
+const { getDictionaryForDocumentType } = require("./dictionaryService");
+const { validateTextWithDictionary } = require("./validatorDocuments");
+const { compareNames } = require("../utils/textSimilarity");
+const {
+  parseDayMonthYear,
+  parseRequestDate,
+  toISODate,
+  yearsBetween,
+} = require("../utils/dateUtils");
+const { createLogger } = require("../utils/logger");
+
+const log = createLogger("PROCESS");
+
+const NAME_MATCH_THRESHOLD = parseFloat(
+  process.env.NAME_MATCH_THRESHOLD || "0.85"
+);
+
+const EXAM_DATE_RULES = {
+  maxAgeYears: parseInt(process.env.EXAM_MAX_AGE_YEARS || "0", 10),
+  minDate: process.env.EXAM_MIN_DATE || "",
+  allowAfterRequest: process.env.EXAM_ALLOW_AFTER_REQUEST === "true",
+};
+
+async function validateDataTyT(dataTyT, inputData, output) {
+  if (dataTyT.numDocumento === inputData.Numero_de_Documento) {
+    output.Num_Doc_Valido = "Valido";
+    log.info(`Número de documento COINCIDE`);
+  } else {
+    output.Num_Doc_Valido = "Revision Manual";
+    log.info("Número de documento NO COINCIDE", {
+      numDocumento: dataTyT.numDocumento,
+      Numero_de_Documento: inputData.Numero_de_Documento,
+    });
+  }
+
+  validateNombre(dataTyT.nombre, inputData.Nombre_completo, output);
+  validateFechaPresentacion(dataTyT.fechaPresentacion, inputData, output);
+
+  const palabrasTecnico = ["técnico", "tecnico", "técnica", "tecnica"];
+  const palabrasTecnologo = [
+    "tecnólogo",
+    "tecnologo",
+    "tecnóloga",
+    "tecnologa",
+    "tecnológico",
+    "tecnologico",
+    "tecnologia",
+  ];
+
+  const validarCoincidencia = (texto, palabrasClave) => {
+    return palabrasClave.some((palabra) =>
+      texto.toLowerCase().includes(palabra)
+    );
+  };
+
+  if (inputData.NivelDeFormacion && output.Programa_Extraido?.trim()) {
+    const programaTexto = output.Programa_Extraido.toLowerCase();
+
+    switch (inputData.NivelDeFormacion) {
+      case "Profesional":
+        output.NivelFormacion_Valido = "Valido";
+        break;
+
+      case "Tecnólogo":
+        output.NivelFormacion_Valido = validarCoincidencia(
+          programaTexto,
+          palabrasTecnologo
+        )
+          ? "Valido"
+          : "Invalido";
+        break;
+
+      case "Técnico":
+        output.NivelFormacion_Valido = validarCoincidencia(
+          programaTexto,
+          palabrasTecnico
+        )
+          ? "Valido"
+          : "Invalido";
+        break;
+
+      default:
+        output.NivelFormacion_Valido = "N/A";
+        break;
+    }
+  } else {
+    output.NivelFormacion_Valido = "";
+  }
+
+  const dictionaryCUN = await getDictionaryForDocumentType("cun_institutions");
+  const institutionReport = await validateTextWithDictionary(
+    dataTyT.institucion,
+    dictionaryCUN
+  );
+
+  if (institutionReport.valid) {
+    output.Institucion_Valida = "Valido";
+    log.info(`Institución CUN VÁLIDA`);
+  } else {
+    output.Institucion_Valida = "Revision Manual";
+    log.info(`Institución CUN REQUIERE REVISIÓN`);
+  }
+}
+
+function isUsableName(name) {
+  return Boolean(name) && /[A-Za-zÁÉÍÓÚÑáéíóúñ]/.test(name) &&
+    name !== "Extracción Manual" && name !== "Revision Manual";
+}
+
+function matchNames(expectedName, extractedName) {
+  const { score, matchedTokens } = compareNames(expectedName, extractedName);
+  const isValid = score >= NAME_MATCH_THRESHOLD && matchedTokens >= Math.min(
+    2,
+    expectedName.trim().split(/\s+/).length
+  );
+  return { score, isValid };
+}
+
+function validateNombre(extractedName, expectedName, output) {
+  if (!expectedName || !isUsableName(extractedName)) {
+    output.Nombre_Valido = "Revision Manual";
+    output.Nombre_Similitud = 0;
+    log.info(`Nombre no disponible para comparar`);
+    return;
+  }
+
+  const { score, isValid } = matchNames(expectedName, extractedName);
+
+  output.Nombre_Valido = isValid ? "Valido" : "Revision Manual";
+  output.Nombre_Similitud = score;
+  log.info(`Nombre ${isValid ? "COINCIDE" : "NO COINCIDE"} - similitud ${score}`);
+}
+
+function validateFechaPresentacion(fechaPresentacion, inputData, output) {
+  const setResult = (estado, motivo) => {
+    output.Fecha_Valida = estado;
+    output.Fecha_Valida_Motivo = motivo;
+    log.info(`Fecha de presentación ${estado}: ${motivo}`);
+  };
+
+  if (!/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(fechaPresentacion || "")) {
+    output.Fecha_Presentacion_ISO = "";
+    setResult("Revision Manual", "Fecha de presentación no extraída");
+    return;
+  }
+
+  const examDate = parseDayMonthYear(fechaPresentacion);
+  if (!examDate) {
+    output.Fecha_Presentacion_ISO = "";
+    setResult("Invalido", `Fecha imposible: ${fechaPresentacion}`);
+    return;
+  }
+  output.Fecha_Presentacion_ISO = toISODate(examDate);
+
+  const requestDate = parseRequestDate(inputData.Fecha_Solicitud) || new Date();
+
+  if (!EXAM_DATE_RULES.allowAfterRequest && examDate > requestDate) {
+    setResult("Invalido", "Examen posterior a la fecha de solicitud");
+    return;
+  }
+
+  const minDate = parseRequestDate(EXAM_DATE_RULES.minDate);
+  if (minDate && examDate < minDate) {
+    setResult("Invalido", `Examen anterior a ${toISODate(minDate)}`);
+    return;
+  }
+
+  if (
+    EXAM_DATE_RULES.maxAgeYears > 0 &&
+    yearsBetween(examDate, requestDate) >= EXAM_DATE_RULES.maxAgeYears
+  ) {
+    setResult(
+      "Invalido",
+      `Examen presentado hace más de ${EXAM_DATE_RULES.maxAgeYears} años`
+    );
+    return;
+  }
+
+  setResult("Valido", "Fecha dentro de la ventana permitida");
+}
+
+async function validateDataCedula(dataCedula, inputData, output) {
+  if (dataCedula.numDocumento === inputData.Numero_de_Documento) {
+    output.Cedula_Num_Valido = "Valido";
+    log.info(`Número de cédula COINCIDE`);
+  } else {
+    output.Cedula_Num_Valido = "Revision Manual";
+    log.info("Número de cédula NO COINCIDE", {
+      numDocumento: dataCedula.numDocumento,
+      Numero_de_Documento: inputData.Numero_de_Documento,
+    });
+  }
+}
+
+function checkIdentityNumber(output, inputData, tytValidado, observaciones) {
+  if (!/^\d+$/.test(output.Cedula_Num_Extraido || "")) {
+    observaciones.push("No se pudo extraer el número de la cédula");
+    return;
+  }
+
+  if (output.Cedula_Num_Extraido !== inputData.Numero_de_Documento) {
+    observaciones.push("Cédula no coincide con el número ingresado");
+  }
+
+  if (!tytValidado) {
+    return;
+  }
+  if (!/^\d+$/.test(output.Num_Documento_Extraido || "")) {
+    observaciones.push("Número del certificado TyT no disponible para comparar");
+  } else if (output.Cedula_Num_Extraido !== output.Num_Documento_Extraido) {
+    observaciones.push("Cédula no coincide con el certificado TyT");
+  }
+}
+
+function checkIdentityName(output, inputData, tytValidado, observaciones) {
+  if (!isUsableName(output.Cedula_Nombre_Extraido)) {
+    observaciones.push("No se pudo extraer el nombre de la cédula");
+    return;
+  }
+
+  if (inputData.Nombre_completo) {
+    const { score, isValid } = matchNames(
+      inputData.Nombre_completo,
+      output.Cedula_Nombre_Extraido
+    );
+    log.info(`Nombre de la cédula vs ingresado - similitud ${score}`);
+    if (!isValid) {
+      observaciones.push("Nombre de la cédula no coincide con el nombre ingresado");
+    }
+  }
+
+  if (!tytValidado) {
+    return;
+  }
+  if (!isUsableName(output.Nombre_Extraido)) {
+    observaciones.push("Nombre del certificado TyT no disponible para comparar");
+    return;
+  }
+  const { score, isValid } = matchNames(
+    output.Cedula_Nombre_Extraido,
+    output.Nombre_Extraido
+  );
+  log.info(`Nombre de la cédula vs certificado TyT - similitud ${score}`);
+  if (!isValid) {
+    observaciones.push("Nombre de la cédula no coincide con el certificado TyT");
+  }
+}
+
+function checkIdentityDates(output, observaciones) {
+  const birthDate = parseDayMonthYear(output.Cedula_Fecha_Nacimiento);
+  const expeditionDate = parseDayMonthYear(output.Cedula_Fecha_Expedicion);
+  if (!birthDate || !expeditionDate) {
+    return;
+  }
+
+  // La cédula de ciudadanía se expide a partir de los 18 años.
+  if (yearsBetween(birthDate, expeditionDate) < 18) {
+    observaciones.push("Fechas de nacimiento y expedición de la cédula inconsistentes");
+  }
+}
+
+async function validateIdentity(output, inputData) {
+  const observaciones = [];
+
+  if (output.Cedula !== "Documento Valido") {
+    observaciones.push("Cédula no validada");
+  } else {
+    const tytValidado = output.SaberProTyT === "Documento Valido";
+    if (!tytValidado) {
+      observaciones.push("Certificado TyT no validado");
+    }
+    checkIdentityNumber(output, inputData, tytValidado, observaciones);
+    checkIdentityName(output, inputData, tytValidado, observaciones);
+    checkIdentityDates(output, observaciones);
+  }
+
+  if (observaciones.length === 0) {
+    output.Identidad_Valida = "Valido";
+    output.Identidad_Detalle = "Número, nombre y fechas de la cédula coinciden con lo ingresado y el certificado TyT";
+    log.info(`Identidad VERIFICADA`);
+  } else {
+    output.Identidad_Valida = "Revision Manual";
+    output.Identidad_Detalle = observaciones.join("; ");
+    log.info(`Identidad REQUIERE REVISIÓN: ${output.Identidad_Detalle}`);
+  }
+}
+
+module.exports = {
+  validateDataTyT,
+  validateDataCedula,
+  validateIdentity,
+};
@@ -1,22 +1,88 @@
+const { tokenize, levenshteinDistance, allowedEdits } = require('../utils/textSimilarity');
+
 async function validateTextWithDictionary(text, dictionary, minMatches = 1) {
+  const report = {
+    valid: false,
+    matchCount: 0,
+    matches: []
+  };
+
   if (!text || !dictionary || dictionary.length === 0) {
-    return false;
+    return report;
   }
-  const normalizedText = text.toLowerCase();
-  let matchCount = 0;
-  
+
+  const textTokens = tokenize(text);
+  const seenTerms = new Set();
+
   for (const keyword of dictionary) {
-    const normalizedKeyword = keyword.toLowerCase().trim();
-    if (normalizedKeyword && normalizedText.includes(normalizedKeyword)) {
-      matchCount++;
-      if (matchCount >= minMatches) {
-        return true;
+    const termTokens = tokenize(keyword).map(token => token.value);
+    const termKey = termTokens.join(' ');
+    if (termTokens.length === 0 || seenTerms.has(termKey)) {
+      continue;
+    }
+    seenTerms.add(termKey);
+
+    const match = findBestTermMatch(text, textTokens, termTokens);
+    if (match) {
+      report.matches.push({ term: keyword.trim(), ...match });
+    }
+  }
+
+  report.matchCount = report.matches.length;
+  report.valid = report.matchCount >= minMatches;
+  return report;
+}
+
+function findBestTermMatch(text, textTokens, termTokens) {
+  const termLength = termTokens.reduce((sum, token) => sum + token.length, 0);
+  let best = null;
+
+  for (let start = 0; start + termTokens.length <= textTokens.length; start++) {
+    let edits = 0;
+    let matched = true;
+
+    for (let offset = 0; offset < termTokens.length; offset++) {
+      const expected = termTokens[offset];
+      const actual = textTokens[start + offset].value;
+      const tolerance = allowedEdits(expected);
+
+      if (Math.abs(expected.length - actual.length) > tolerance) {
+        matched = false;
+        break;
+      }
+
+      const distance = tolerance === 0
+        ? (expected === actual ? 0 : 1)
+        : levenshteinDistance(expected, actual);
+      if (distance > tolerance) {
+        matched = false;
+        break;
+      }
+      edits += distance;
+    }
+
+    if (!matched) {
+      continue;
+    }
+
+    const score = Math.round((1 - edits / termLength) * 100) / 100;
+    if (!best || score > best.score) {
+      const first = textTokens[start];
+      const last = textTokens[start + termTokens.length - 1];
+      best = {
+        matched: text.substring(first.start, last.end),
+        score,
+        position: first.start
+      };
+      if (score === 1) {
+        break;
       }
     }
   }
-  return false;
+
+  return best;
 }
 
 module.exports = {
   validateTextWithDictionary
-}
\ No newline at end of file
+}
@@ -0,0 +1,58 @@
+function parseDayMonthYear(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/);
+  if (!match) {
+    return null;
+  }
+
+  return buildDate(parseInt(match[3], 10), parseInt(match[2], 10), parseInt(match[1], 10));
+}
+
+function parseRequestDate(value) {
+  if (!value) {
+    return null;
+  }
+
+  const isoMatch = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (isoMatch) {
+    return buildDate(parseInt(isoMatch[1], 10), parseInt(isoMatch[2], 10), parseInt(isoMatch[3], 10));
+  }
+  return parseDayMonthYear(String(value));
+}
+
+function buildDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || year < 1900) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date;
+}
+
+function toISODate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+function yearsBetween(from, to) {
+  let years = to.getUTCFullYear() - from.getUTCFullYear();
+  const anniversaryPending =
+    to.getUTCMonth() < from.getUTCMonth() ||
+    (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate());
+  if (anniversaryPending) {
+    years--;
+  }
+  return years;
+}
+
+module.exports = {
+  parseDayMonthYear,
+  parseRequestDate,
+  toISODate,
+  yearsBetween
+};
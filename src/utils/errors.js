@@ -0,0 +1,254 @@
+const ERROR_CODES = {
+  HTML_FILE_DETECTED: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Archivo HTML detectado - Revision Manual',
+  },
+  DOCUMENT_TOO_SMALL: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Documento vacío o incompleto - Revision Manual',
+  },
+  DOCUMENT_TOO_LARGE: {
+    statusCode: 413,
+    retryable: false,
+    estado: 'Documento muy grande - Revision Manual',
+  },
+  UNSUPPORTED_FILE_TYPE: {
+    statusCode: 415,
+    retryable: false,
+    estado: 'Tipo de archivo no soportado - Revision Manual',
+  },
+  CONVERSION_ERROR: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'No se pudo convertir el documento - Revision Manual',
+  },
+  IMAGE_LOW_RESOLUTION: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Resolución insuficiente - Solicitar nueva carga',
+  },
+  IMAGE_BLURRY: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Imagen borrosa - Solicitar nueva carga',
+  },
+  IMAGE_TOO_DARK: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Imagen muy oscura - Solicitar nueva carga',
+  },
+  IMAGE_OVEREXPOSED: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Imagen sobreexpuesta - Solicitar nueva carga',
+  },
+  IMAGE_SKEWED: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Imagen inclinada - Solicitar nueva carga',
+  },
+  NO_TEXT_EXTRACTED: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Sin texto extraíble - Revision Manual',
+  },
+  PERMISSION_DENIED: {
+    statusCode: 403,
+    retryable: false,
+    estado: 'Sin permisos de acceso - Revision Manual',
+  },
+  FILE_NOT_FOUND: {
+    statusCode: 404,
+    retryable: false,
+    estado: 'Archivo no encontrado - Revision Manual',
+  },
+  FOLDER_WITHOUT_DOCUMENTS: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Carpeta sin documentos soportados - Revision Manual',
+  },
+  INVALID_URL: {
+    statusCode: 400,
+    retryable: false,
+    estado: 'URL de documento no válida - Revision Manual',
+  },
+  SOURCE_NOT_ALLOWED: {
+    statusCode: 403,
+    retryable: false,
+    estado: 'Origen de documento no permitido - Revision Manual',
+  },
+  INVALID_BASE64_PAYLOAD: {
+    statusCode: 400,
+    retryable: false,
+    estado: 'Contenido base64 no válido - Revision Manual',
+  },
+  DOWNLOAD_ERROR: {
+    statusCode: 502,
+    retryable: true,
+    estado: 'Error descargando documento - Revision Manual',
+  },
+  TEXTRACT_ERROR: {
+    statusCode: 502,
+    retryable: true,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+  ASYNC_TIMEOUT: {
+    statusCode: 504,
+    retryable: true,
+    estado: 'Tiempo de procesamiento agotado - Revision Manual',
+  },
+  ASYNC_JOB_FAILED: {
+    statusCode: 502,
+    retryable: false,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+  ASYNC_NOT_CONFIGURED: {
+    statusCode: 500,
+    retryable: false,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+  GOOGLE_AUTH_NOT_CONFIGURED: {
+    statusCode: 500,
+    retryable: false,
+    estado: 'Error de autenticación con Google - Revision Manual',
+  },
+  GOOGLE_AUTH_REVOKED: {
+    statusCode: 502,
+    retryable: false,
+    estado: 'Credenciales de Google revocadas - Revision Manual',
+  },
+  GOOGLE_AUTH_ERROR: {
+    statusCode: 502,
+    retryable: true,
+    estado: 'Error de autenticación con Google - Revision Manual',
+  },
+  DEPENDENCY_UNAVAILABLE: {
+    statusCode: 503,
+    retryable: true,
+    estado: 'Servicio externo no disponible - Revision Manual',
+  },
+  DEADLINE_EXCEEDED: {
+    statusCode: 504,
+    retryable: true,
+    estado: 'Tiempo de procesamiento agotado - Revision Manual',
+  },
+  TEMP_STORAGE_ERROR: {
+    statusCode: 500,
+    retryable: true,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+  INVALID_REQUEST: {
+    statusCode: 422,
+    retryable: false,
+    estado: 'Solicitud inválida',
+  },
+  BATCH_TOO_LARGE: {
+    statusCode: 413,
+    retryable: false,
+    estado: 'Lote demasiado grande',
+  },
+  JOB_NOT_FOUND: {
+    statusCode: 404,
+    retryable: false,
+    estado: 'Trabajo no encontrado',
+  },
+  JOB_STORE_NOT_CONFIGURED: {
+    statusCode: 500,
+    retryable: false,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+  JOB_RUNNER_NOT_CONFIGURED: {
+    statusCode: 500,
+    retryable: false,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+  JOB_TIMEOUT: {
+    statusCode: 504,
+    retryable: true,
+    estado: 'Tiempo de procesamiento agotado - Revision Manual',
+  },
+  RESULT_CACHE_NOT_CONFIGURED: {
+    statusCode: 500,
+    retryable: false,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+  PROCESSING_ERROR: {
+    statusCode: 500,
+    retryable: false,
+    estado: 'Error en procesamiento - Revision Manual',
+  },
+};
+
+class AppError extends Error {
+  constructor(code, detail, options = {}) {
+    super(detail ? `${code}: ${detail}` : code);
+    const definition = ERROR_CODES[code] || ERROR_CODES.PROCESSING_ERROR;
+
+    this.name = this.constructor.name;
+    this.code = code;
+    this.detail = detail || '';
+    this.statusCode = options.statusCode || definition.statusCode;
+    this.retryable = options.retryable !== undefined ? options.retryable : definition.retryable;
+    if (options.cause) {
+      this.cause = options.cause;
+    }
+  }
+}
+
+class DocumentValidationError extends AppError {}
+
+class ImageQualityError extends DocumentValidationError {
+  constructor(issues, metrics) {
+    super(issues[0].code, issues.map((issue) => issue.razon).join(', '));
+    this.issues = issues;
+    this.metrics = metrics;
+  }
+}
+
+class DownloadError extends AppError {}
+
+class ExtractionError extends AppError {}
+
+class StorageError extends AppError {}
+
+class AuthError extends AppError {}
+
+class DependencyError extends AppError {}
+
+class RequestError extends AppError {}
+
+class SchemaValidationError extends RequestError {
+  constructor(errores) {
+    super('INVALID_REQUEST', 'la peticion no cumple el esquema');
+    this.errores = errores;
+  }
+}
+
+class ConfigurationError extends AppError {}
+
+function getErrorCode(error) {
+  return error instanceof AppError ? error.code : 'PROCESSING_ERROR';
+}
+
+function getErrorStatus(error) {
+  return (ERROR_CODES[getErrorCode(error)] || ERROR_CODES.PROCESSING_ERROR).estado;
+}
+
+module.exports = {
+  ERROR_CODES,
+  AppError,
+  DocumentValidationError,
+  ImageQualityError,
+  DownloadError,
+  ExtractionError,
+  StorageError,
+  AuthError,
+  DependencyError,
+  RequestError,
+  SchemaValidationError,
+  ConfigurationError,
+  getErrorCode,
+  getErrorStatus,
+};
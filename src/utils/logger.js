@@ -0,0 +1,165 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const LOG_CONFIG = {
+  level: LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info,
+  redactPII: process.env.LOG_REDACT_PII !== 'false',
+};
+
+const SENSITIVE_KEYS = new Set([
+  'nombre',
+  'nombre_completo',
+  'nombrecompleto',
+  'nombre_extraido',
+  'cedula_nombre_extraido',
+  'numdocumento',
+  'numero_de_documento',
+  'numerodocumento',
+  'num_documento_extraido',
+  'cedula_num_extraido',
+  'registroek',
+  'ek',
+  'text',
+  'fragmento',
+]);
+
+const logContext = new AsyncLocalStorage();
+
+function runWithLogContext(values, fn) {
+  const parent = logContext.getStore();
+  const store = {
+    requestId: values.requestId || (parent && parent.requestId) || null,
+    startedAt: parent ? parent.startedAt : Date.now(),
+    sensitiveValues: parent ? [...parent.sensitiveValues] : [],
+  };
+  return logContext.run(store, fn);
+}
+
+function addSensitiveValues(values) {
+  const store = logContext.getStore();
+  if (!store) {
+    return;
+  }
+
+  for (const value of values) {
+    if (typeof value !== 'string') {
+      continue;
+    }
+    for (const token of value.trim().split(/\s+/)) {
+      if (token.length >= 3 && !store.sensitiveValues.includes(token)) {
+        store.sensitiveValues.push(token);
+      }
+    }
+  }
+}
+
+function maskDigits(value) {
+  const digits = value.replace(/\D/g, '');
+  return `${'*'.repeat(Math.max(digits.length - 3, 0))}${digits.slice(-3)}`;
+}
+
+function redactString(value) {
+  let redacted = value
+    .replace(/\bEK\s*\d{6,}/gi, 'EK***********')
+    .replace(/\b\d{1,3}(?:\.\d{3}){2,3}\b|\b\d{6,11}\b/g, maskDigits);
+
+  const store = logContext.getStore();
+  if (store) {
+    for (const token of store.sensitiveValues) {
+      const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      redacted = redacted.replace(
+        new RegExp(`(?<![\\p{L}\\d])${escaped}(?![\\p{L}\\d])`, 'giu'),
+        '[REDACTADO]'
+      );
+    }
+  }
+  return redacted;
+}
+
+function redact(value, key) {
+  if (!LOG_CONFIG.redactPII || value === null || value === undefined) {
+    return value;
+  }
+
+  if (key && SENSITIVE_KEYS.has(key.toLowerCase()) && typeof value !== 'object') {
+    return '[REDACTADO]';
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item));
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    for (const [childKey, childValue] of Object.entries(value)) {
+      result[childKey] = redact(childValue, childKey);
+    }
+    return result;
+  }
+  return value;
+}
+
+function getRequestId() {
+  const store = logContext.getStore();
+  return store ? store.requestId : null;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    code: error.code,
+    message: error.message,
+    stack: error.stack ? error.stack.split('\n').slice(0, 4).join('\n') : undefined,
+  };
+}
+
+function write(level, module, message, fields) {
+  if (LOG_LEVELS[level] < LOG_CONFIG.level) {
+    return;
+  }
+
+  const store = logContext.getStore();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    module,
+    requestId: store ? store.requestId : null,
+    elapsedMs: store ? Date.now() - store.startedAt : undefined,
+    message: redact(message),
+  };
+
+  if (fields instanceof Error) {
+    entry.error = redact(serializeError(fields));
+  } else if (fields) {
+    const { error, ...rest } = fields;
+    Object.assign(entry, redact(rest));
+    if (error instanceof Error) {
+      entry.error = redact(serializeError(error));
+    }
+  }
+
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+function createLogger(module) {
+  return {
+    debug: (message, fields) => write('debug', module, message, fields),
+    info: (message, fields) => write('info', module, message, fields),
+    warn: (message, fields) => write('warn', module, message, fields),
+    error: (message, fields) => write('error', module, message, fields),
+    startTimer: () => {
+      const startedAt = Date.now();
+      return (message, fields = {}) =>
+        write('info', module, message, { ...fields, durationMs: Date.now() - startedAt });
+    },
+  };
+}
+
+module.exports = {
+  createLogger,
+  runWithLogContext,
+  addSensitiveValues,
+  getRequestId,
+};
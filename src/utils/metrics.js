@@ -0,0 +1,50 @@
+const { getRequestId } = require('./logger');
+
+const METRICS_CONFIG = {
+  enabled: process.env.METRICS_ENABLED !== 'false',
+  namespace: process.env.METRICS_NAMESPACE || 'LambdaTyT',
+};
+
+function putMetrics(metrics, dimensions = {}) {
+  if (!METRICS_CONFIG.enabled || metrics.length === 0) {
+    return;
+  }
+
+  const dimensionValues = {};
+  for (const [name, value] of Object.entries(dimensions)) {
+    dimensionValues[name] = String(value);
+  }
+
+  const entry = {
+    _aws: {
+      Timestamp: Date.now(),
+      CloudWatchMetrics: [
+        {
+          Namespace: METRICS_CONFIG.namespace,
+          Dimensions: [Object.keys(dimensionValues)],
+          Metrics: metrics.map((metric) => ({
+            Name: metric.name,
+            Unit: metric.unit || 'Count',
+          })),
+        },
+      ],
+    },
+    ...dimensionValues,
+    requestId: getRequestId(),
+  };
+
+  for (const metric of metrics) {
+    entry[metric.name] = metric.value;
+  }
+
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+function putMetric(name, value, unit, dimensions) {
+  putMetrics([{ name, value, unit }], dimensions);
+}
+
+module.exports = {
+  putMetric,
+  putMetrics,
+};
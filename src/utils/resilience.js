@@ -0,0 +1,176 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const { AppError, DependencyError } = require('./errors');
+const { createLogger } = require('./logger');
+const { putMetric } = require('./metrics');
+
+const log = createLogger('RESILIENCE');
+
+const RESILIENCE_CONFIG = {
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '200', 10),
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '5000', 10),
+  callTimeoutMs: parseInt(process.env.CALL_TIMEOUT_MS || '60000', 10),
+  failureThreshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+  resetTimeoutMs: parseInt(process.env.CIRCUIT_RESET_MS || '30000', 10),
+};
+
+const TRANSIENT_AWS_CODES = [
+  'ThrottlingException',
+  'ProvisionedThroughputExceededException',
+  'LimitExceededException',
+  'InternalServerError',
+  'ServiceUnavailable',
+  'RequestTimeout',
+  'TimeoutError',
+  'NetworkingError',
+];
+
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const DRIVE_RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+const circuits = new Map();
+const retryTracking = new AsyncLocalStorage();
+
+function isTransientError(error) {
+  if (error instanceof AppError) {
+    return error.retryable;
+  }
+  if (TRANSIENT_AWS_CODES.includes(error.code) || TRANSIENT_NETWORK_CODES.includes(error.code)) {
+    return true;
+  }
+
+  const status = (error.response && error.response.status) || error.statusCode ||
+    (typeof error.code === 'number' ? error.code : null);
+  if (status === 429 || (status >= 500 && status <= 599)) {
+    return true;
+  }
+  if (status === 403 && Array.isArray(error.errors)) {
+    return error.errors.some((item) => DRIVE_RATE_LIMIT_REASONS.includes(item.reason));
+  }
+  return false;
+}
+
+function getCircuit(dependency) {
+  if (!circuits.has(dependency)) {
+    circuits.set(dependency, { state: 'closed', failures: 0, openedAt: 0 });
+  }
+  return circuits.get(dependency);
+}
+
+function recordSuccess(dependency) {
+  const circuit = getCircuit(dependency);
+  if (circuit.state !== 'closed') {
+    log.info(`Circuito de ${dependency} cerrado nuevamente`);
+  }
+  circuit.state = 'closed';
+  circuit.failures = 0;
+}
+
+function recordFailure(dependency) {
+  const circuit = getCircuit(dependency);
+  circuit.failures++;
+
+  if (circuit.state === 'half-open' || circuit.failures >= RESILIENCE_CONFIG.failureThreshold) {
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+    log.warn(`Circuito de ${dependency} abierto tras ${circuit.failures} fallo(s)`);
+    putMetric('CircuitOpened', 1, 'Count', { Dependency: dependency });
+  }
+}
+
+function assertCircuitAllows(dependency) {
+  const circuit = getCircuit(dependency);
+  if (circuit.state !== 'open') {
+    return;
+  }
+
+  if (Date.now() - circuit.openedAt >= RESILIENCE_CONFIG.resetTimeoutMs) {
+    circuit.state = 'half-open';
+    log.info(`Circuito de ${dependency} en prueba (half-open)`);
+    return;
+  }
+
+  throw new DependencyError(
+    'DEPENDENCY_UNAVAILABLE',
+    `${dependency} no disponible temporalmente, circuito abierto`
+  );
+}
+
+// La operación recibe una AbortSignal que se dispara al vencer el plazo: sin
+// ella el intento perdedor seguiría corriendo en paralelo con el reintento.
+function withDeadline(operation, dependency, timeoutMs) {
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new DependencyError(
+        'DEADLINE_EXCEEDED',
+        `${dependency} no respondió en ${timeoutMs} ms`
+      );
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([operation(controller.signal), deadline])
+    .finally(() => clearTimeout(timer));
+}
+
+function backoffDelay(attempt) {
+  const exponential = Math.min(
+    RESILIENCE_CONFIG.maxDelayMs,
+    RESILIENCE_CONFIG.baseDelayMs * Math.pow(2, attempt - 1)
+  );
+  return Math.round(Math.random() * exponential);
+}
+
+function trackRetry(dependency) {
+  const counters = retryTracking.getStore();
+  if (counters) {
+    counters[dependency] = (counters[dependency] || 0) + 1;
+  }
+  putMetric('Retries', 1, 'Count', { Dependency: dependency });
+}
+
+async function withResilience(dependency, operation, options = {}) {
+  const maxAttempts = options.maxAttempts || RESILIENCE_CONFIG.maxAttempts;
+  const timeoutMs = options.timeoutMs || RESILIENCE_CONFIG.callTimeoutMs;
+
+  for (let attempt = 1; ; attempt++) {
+    assertCircuitAllows(dependency);
+
+    try {
+      const result = await withDeadline(operation, dependency, timeoutMs);
+      recordSuccess(dependency);
+      return result;
+    } catch (error) {
+      if (!isTransientError(error)) {
+        throw error;
+      }
+
+      recordFailure(dependency);
+      if (attempt >= maxAttempts || getCircuit(dependency).state === 'open') {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt);
+      log.warn(`Error transitorio en ${dependency}, reintento ${attempt} en ${delay} ms`, { error });
+      trackRetry(dependency);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+async function runWithRetryTracking(fn) {
+  const counters = {};
+  const result = await retryTracking.run(counters, fn);
+  return { result, retries: counters };
+}
+
+module.exports = {
+  withResilience,
+  runWithRetryTracking,
+  isTransientError,
+};
@@ -3,6 +3,11 @@ const path = require('path');
 const os = require('os');
 const crypto = require('crypto');
 
+const { StorageError } = require('./errors');
+const { createLogger } = require('./logger');
+
+const log = createLogger('TEMP');
+
 const tempDirectories = [];
 
 async function createTempDirectory() {
@@ -15,7 +20,7 @@ async function createTempDirectory() {
   const uniqueId = `${timestamp}-${processId}-${randomBytes}-${randomSuffix}-${nanoTime.slice(-8)}`;
   const tempDirName = `pdf-processor-${uniqueId}`;
   
-  console.log(`[TEMP] Generando directorio temporal único: ${tempDirName}`);
+  log.info(`Generando directorio temporal único: ${tempDirName}`);
 
   const possiblePaths = [
     path.join(os.tmpdir(), tempDirName),
@@ -27,11 +32,11 @@ async function createTempDirectory() {
     const tempDir = possiblePaths[i];
     
     try {
-      console.log(`[TEMP] Intentando crear directorio en: ${tempDir}`);
+      log.info(`Intentando crear directorio en: ${tempDir}`);
 
       const exists = await fs.pathExists(tempDir);
       if (exists) {
-        console.warn(`[TEMP] Directorio ya existe, generando nuevo ID...`);
+        log.warn(`Directorio ya existe, generando nuevo ID...`);
         const newRandomBytes = crypto.randomBytes(8).toString('hex');
         const newPath = `${tempDir}-${newRandomBytes}`;
         await createDirectoryRobust(newPath);
@@ -43,14 +48,14 @@ async function createTempDirectory() {
 
       tempDirectories.push(tempDir);
       
-      console.log(`[TEMP] ✓ Directorio creado exitosamente: ${path.basename(tempDir)}`);
+      log.info(`✓ Directorio creado exitosamente: ${path.basename(tempDir)}`);
       return tempDir;
       
     } catch (error) {
-      console.warn(`[TEMP] ⚠️ Falló creación en ${tempDir}: ${error.message}`);
+      log.warn(`⚠️ Falló creación en ${tempDir}: ${error.message}`);
 
       if (i === possiblePaths.length - 1) {
-        throw new Error(`No se pudo crear directorio temporal después de ${possiblePaths.length} intentos: ${error.message}`);
+        throw new StorageError('TEMP_STORAGE_ERROR', `No se pudo crear directorio temporal después de ${possiblePaths.length} intentos: ${error.message}`, { cause: error });
       }
     }
   }
@@ -71,35 +76,35 @@ async function createDirectoryRobust(dirPath) {
     try {
       await fs.chmod(dirPath, 0o755);
     } catch (chmodError) {
-      console.warn(`[TEMP] No se pudieron configurar permisos para ${dirPath}: ${chmodError.message}`);
+      log.warn(`No se pudieron configurar permisos para ${dirPath}: ${chmodError.message}`);
     }
     const testFile = path.join(dirPath, '.test');
     await fs.writeFile(testFile, 'test');
     await fs.remove(testFile);
     
-    console.log(`[TEMP] Directorio verificado y funcional: ${path.basename(dirPath)}`);
+    log.info(`Directorio verificado y funcional: ${path.basename(dirPath)}`);
     
   } catch (error) {
-    throw new Error(`Error creando directorio ${dirPath}: ${error.message}`);
+    throw new StorageError('TEMP_STORAGE_ERROR', `Error creando directorio ${dirPath}: ${error.message}`, { cause: error });
   }
 }
 
 async function cleanupTempFiles() {
   if (tempDirectories.length === 0) {
-    console.log(`[TEMP] No hay directorios temporales para limpiar`);
+    log.info(`No hay directorios temporales para limpiar`);
     return;
   }
   
-  console.log(`[TEMP] Iniciando limpieza de ${tempDirectories.length} directorio(s) temporal(es)...`);
+  log.info(`Iniciando limpieza de ${tempDirectories.length} directorio(s) temporal(es)...`);
   
   const cleanupPromises = tempDirectories.map(async (dir, index) => {
     try {
       const dirName = path.basename(dir);
-      console.log(`[TEMP] Limpiando ${index + 1}/${tempDirectories.length}: ${dirName}`);
+      log.info(`Limpiando ${index + 1}/${tempDirectories.length}: ${dirName}`);
 
       const exists = await fs.pathExists(dir);
       if (!exists) {
-        console.log(`[TEMP] ✓ Directorio ${dirName} ya no existe`);
+        log.info(`✓ Directorio ${dirName} ya no existe`);
         return;
       }
       let fileCount = 0;
@@ -114,7 +119,7 @@ async function cleanupTempFiles() {
           totalSize += stats.size;
         }
       } catch (dirError) {
-        console.warn(`[TEMP] No se pudo analizar contenido de ${dirName}: ${dirError.message}`);
+        log.warn(`No se pudo analizar contenido de ${dirName}: ${dirError.message}`);
       }
 
       await fs.remove(dir);
@@ -123,15 +128,28 @@ async function cleanupTempFiles() {
       if (stillExists) {
         throw new Error(`El directorio ${dirName} aún existe después de la eliminación`);
       }
-      console.log(`[TEMP] ✓ ${dirName} eliminado (${fileCount} archivos, ${formatBytes(totalSize)})`);
+      log.info(`✓ ${dirName} eliminado (${fileCount} archivos, ${formatBytes(totalSize)})`);
     } catch (error) {
-      console.error(`[TEMP] ✗ Error limpiando ${path.basename(dir)}: ${error.message}`);
+      log.error(`✗ Error limpiando ${path.basename(dir)}: ${error.message}`);
     }
   });
   await Promise.allSettled(cleanupPromises);
 
   tempDirectories.length = 0;
-  console.log(`[TEMP] ✓ Limpieza completada`);
+  log.info(`✓ Limpieza completada`);
+}
+
+async function removeTempDirectory(dir) {
+  try {
+    await fs.remove(dir);
+    const index = tempDirectories.indexOf(dir);
+    if (index !== -1) {
+      tempDirectories.splice(index, 1);
+    }
+    log.info(`✓ ${path.basename(dir)} eliminado`);
+  } catch (error) {
+    log.error(`✗ Error limpiando ${path.basename(dir)}: ${error.message}`);
+  }
 }
 
 function getTempDirectoryStatus() {
@@ -154,25 +172,26 @@ function formatBytes(bytes) {
 }
 
 process.on('beforeExit', async () => {
-  console.log(`[TEMP] Proceso finalizando, ejecutando cleanup automático...`);
+  log.info(`Proceso finalizando, ejecutando cleanup automático...`);
   try {
     await cleanupTempFiles();
   } catch (error) {
-    console.error(`[TEMP] Error en cleanup automático:`, error.message);
+    log.error(`Error en cleanup automático`, { error });
   }
 });
 
 process.on('SIGTERM', async () => {
-  console.log(`[TEMP] SIGTERM recibido, limpiando archivos temporales...`);
+  log.info(`SIGTERM recibido, limpiando archivos temporales...`);
   try {
     await cleanupTempFiles();
   } catch (error) {
-    console.error(`[TEMP] Error en cleanup por SIGTERM:`, error.message);
+    log.error(`Error en cleanup por SIGTERM`, { error });
   }
 });
 
 module.exports = {
   createTempDirectory,
   cleanupTempFiles,
+  removeTempDirectory,
   getTempDirectoryStatus
 };
\ No newline at end of file
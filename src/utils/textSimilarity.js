@@ -0,0 +1,137 @@
+function normalizeChar(char) {
+  return char
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function normalizeWithIndexMap(text) {
+  let normalized = '';
+  const indexMap = [];
+
+  for (let i = 0; i < text.length; i++) {
+    let char = normalizeChar(text[i]);
+    if (!/^[a-z0-9]$/.test(char)) {
+      char = ' ';
+    }
+    normalized += char;
+    indexMap.push(i);
+  }
+
+  return { normalized, indexMap };
+}
+
+function normalizeText(text) {
+  return normalizeWithIndexMap(text || '').normalized.replace(/\s+/g, ' ').trim();
+}
+
+function tokenize(text) {
+  const { normalized, indexMap } = normalizeWithIndexMap(text || '');
+  const tokens = [];
+  const tokenRegex = /[a-z0-9]+/g;
+  let match;
+
+  while ((match = tokenRegex.exec(normalized)) !== null) {
+    tokens.push({
+      value: match[0],
+      start: indexMap[match.index],
+      end: indexMap[match.index + match[0].length - 1] + 1
+    });
+  }
+  return tokens;
+}
+
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (a.length === 0) return b.length;
+  if (b.length === 0) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function allowedEdits(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 7) return 1;
+  return 2;
+}
+
+function similarity(a, b) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+  return 1 - levenshteinDistance(a, b) / maxLength;
+}
+
+const NAME_PARTICLES = new Set(['de', 'del', 'la', 'las', 'los', 'y']);
+
+// Cada token sin pareja en el nombre más largo resta medio token: tolera que
+// falte un segundo nombre, pero no que solo coincidan los nombres de pila.
+const UNMATCHED_TOKEN_WEIGHT = 0.5;
+
+function compareNames(expectedName, extractedName) {
+  const expected = normalizeText(expectedName).split(' ').filter(t => t && !NAME_PARTICLES.has(t));
+  const extracted = normalizeText(extractedName).split(' ').filter(t => t && !NAME_PARTICLES.has(t));
+
+  if (expected.length === 0 || extracted.length === 0) {
+    return { score: 0, matchedTokens: 0 };
+  }
+
+  const [shorter, longer] = expected.length <= extracted.length
+    ? [expected, extracted]
+    : [extracted, expected];
+  const used = new Set();
+  let scoreSum = 0;
+  let matchedTokens = 0;
+
+  for (const token of shorter) {
+    let bestScore = 0;
+    let bestIndex = -1;
+
+    longer.forEach((candidate, index) => {
+      if (used.has(index)) return;
+      let tokenScore = similarity(token, candidate);
+      if ((token.length === 1 || candidate.length === 1) && token[0] === candidate[0]) {
+        tokenScore = Math.max(tokenScore, 0.9);
+      }
+      if (tokenScore > bestScore) {
+        bestScore = tokenScore;
+        bestIndex = index;
+      }
+    });
+
+    if (bestIndex !== -1 && bestScore >= 0.8) {
+      used.add(bestIndex);
+      scoreSum += bestScore;
+      matchedTokens++;
+    }
+  }
+
+  const unmatchedLonger = longer.length - matchedTokens;
+  const score = scoreSum / (shorter.length + UNMATCHED_TOKEN_WEIGHT * unmatchedLonger);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    matchedTokens
+  };
+}
+
+module.exports = {
+  compareNames,
+  normalizeText,
+  tokenize,
+  levenshteinDistance,
+  allowedEdits,
+  similarity
+};
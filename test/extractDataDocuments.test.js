@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { extractDataTyT, extractDataCedula } = require('../src/services/extractDataDocuments');
+
+// Así llega un certificado leído de la capa de texto del PDF: sin formularios
+// ni tablas.
+function textLayerExtraction(text) {
+  return {
+    text,
+    confidence: 100,
+    forms: [],
+    tables: [],
+    layout: [],
+    metadata: { extractionMethod: 'pdfTextLayer' }
+  };
+}
+
+// Une las líneas como lo hace textract.js y guarda la posición de cada una.
+function ocrExtraction(lines) {
+  let text = '';
+  const spans = [];
+  for (const [lineText, confidence] of lines) {
+    spans.push({ start: text.length, end: text.length + lineText.length, confidence });
+    text += `${lineText} `;
+  }
+  const confidence = lines.reduce((sum, [, value]) => sum + value, 0) / lines.length;
+  return { text: text.trim(), confidence, forms: [], tables: [], layout: [], lines: spans };
+}
+
+test('la confianza de un patrón sale de las líneas donde coincidió', async () => {
+  const extraction = ocrExtraction([
+    ['REPUBLICA DE COLOMBIA', 99],
+    ['Número de registro: EK202312345678', 60],
+    ['Aplicación del examen: 15/10/2023', 98]
+  ]);
+
+  const data = await extractDataTyT(extraction.text, extraction);
+
+  assert.strictEqual(data.registroEK, 'EK202312345678');
+  assert.strictEqual(data.provenance.registroEK.confianza, 60);
+  assert.strictEqual(data.provenance.fechaPresentacion.confianza, 98);
+});
+
+test('la confianza de las fechas de la cédula sale de sus líneas', async () => {
+  const extraction = ocrExtraction([
+    ['NUMERO 1.234.567.890', 97],
+    ['FECHA DE NACIMIENTO 01-ENE-1990', 55],
+    ['FECHA Y LUGAR DE EXPEDICION 02-FEB-2008 BOGOTA', 95]
+  ]);
+
+  const data = await extractDataCedula(extraction.text, extraction);
+
+  assert.strictEqual(data.fechaNacimiento, '01/01/1990');
+  assert.strictEqual(data.provenance.fechaNacimiento.confianza, 55);
+  assert.strictEqual(data.provenance.fechaExpedicion.confianza, 95);
+  assert.strictEqual(data.provenance.numDocumento.confianza, 97);
+});
+
+test('lee los puntajes por módulo del texto cuando no hay tablas', async () => {
+  const text =
+    'RESULTADOS SABER TYT Puntaje global: 132 Percentil nacional: 67 ' +
+    'Comunicación escrita: 120 Razonamiento cuantitativo 141 Lectura critica: 138 ' +
+    'Competencias ciudadanas: 125 Inglés: 136';
+
+  const data = await extractDataTyT(text, textLayerExtraction(text));
+
+  assert.strictEqual(data.puntajes.global, 132);
+  assert.strictEqual(data.puntajes.percentilNacional, 67);
+  assert.deepStrictEqual(
+    data.puntajes.modulos.map((modulo) => [modulo.nombre, modulo.puntaje]),
+    [
+      ['Comunicación escrita', 120],
+      ['Razonamiento cuantitativo', 141],
+      ['Lectura crítica', 138],
+      ['Competencias ciudadanas', 125],
+      ['Inglés', 136]
+    ]
+  );
+});
+
+test('no duplica los módulos que ya salieron de una tabla', async () => {
+  const text = 'Lectura crítica: 138 Inglés: 136';
+  const extraction = textLayerExtraction(text);
+  extraction.tables = [{ rows: [['Módulo', 'Puntaje'], ['Lectura crítica', '150']] }];
+
+  const data = await extractDataTyT(text, extraction);
+
+  assert.deepStrictEqual(
+    data.puntajes.modulos.map((modulo) => [modulo.nombre, modulo.puntaje]),
+    [['Lectura crítica', 150], ['Inglés', 136]]
+  );
+});
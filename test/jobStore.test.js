@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.JOB_INLINE_MAX_BYTES = '100';
+
+const {
+  createMemoryJobStore,
+  createFileJobStore,
+  createDynamoJobStore,
+  createPayloadStorage,
+} = require('../src/services/jobStore');
+
+function awsResponse(value) {
+  return { promise: async () => value };
+}
+
+function createStubS3() {
+  const objects = new Map();
+  return {
+    objects,
+    putObject(params) {
+      objects.set(`${params.Bucket}/${params.Key}`, params.Body);
+      return awsResponse({});
+    },
+    getObject(params) {
+      return awsResponse({ Body: Buffer.from(objects.get(`${params.Bucket}/${params.Key}`)) });
+    },
+  };
+}
+
+// Implementa solo lo que usa createDynamoJobStore: put, get y un update con
+// asignaciones "SET #fN = :vN".
+function createStubDocumentClient() {
+  const items = new Map();
+  return {
+    items,
+    put(params) {
+      items.set(params.Item.jobId, { ...params.Item });
+      return awsResponse({});
+    },
+    get(params) {
+      const item = items.get(params.Key.jobId);
+      return awsResponse({ Item: item && { ...item } });
+    },
+    update(params) {
+      const item = items.get(params.Key.jobId);
+      for (const [placeholder, field] of Object.entries(params.ExpressionAttributeNames)) {
+        item[field] = params.ExpressionAttributeValues[placeholder.replace('#f', ':v')];
+      }
+      return awsResponse({ Attributes: { ...item } });
+    },
+  };
+}
+
+function describeStoreContract(name, createStore) {
+  test(`${name}: crea, lee y actualiza trabajos`, async () => {
+    const store = await createStore();
+    await store.create({ jobId: 'job-1', estado: 'PENDIENTE', solicitud: { a: 1 } });
+
+    const updated = await store.update('job-1', { estado: 'COMPLETADO', resultado: { ok: true } });
+    assert.deepStrictEqual(
+      { estado: updated.estado, solicitud: updated.solicitud, resultado: updated.resultado },
+      { estado: 'COMPLETADO', solicitud: { a: 1 }, resultado: { ok: true } }
+    );
+
+    const stored = await store.get('job-1');
+    assert.strictEqual(stored.estado, 'COMPLETADO');
+    assert.deepStrictEqual(stored.resultado, { ok: true });
+  });
+
+  test(`${name}: devuelve null para un trabajo inexistente`, async () => {
+    const store = await createStore();
+    assert.strictEqual(await store.get('no-existe'), null);
+  });
+}
+
+describeStoreContract('memoria', () => createMemoryJobStore());
+
+let fileStoreDir;
+test.before(async () => {
+  fileStoreDir = await fs.mkdtemp(path.join(os.tmpdir(), 'job-store-test-'));
+});
+test.after(() => fs.remove(fileStoreDir));
+
+describeStoreContract('archivo', () => createFileJobStore(fileStoreDir));
+
+describeStoreContract('dynamodb', () =>
+  createDynamoJobStore('jobs-test', {
+    client: createStubDocumentClient(),
+    payloads: createPayloadStorage('payloads-test', 'job-payloads/', createStubS3()),
+  })
+);
+
+test('memoria y archivo rechazan actualizar un trabajo inexistente', async () => {
+  for (const store of [createMemoryJobStore(), createFileJobStore(fileStoreDir)]) {
+    await assert.rejects(store.update('no-existe', { estado: 'ERROR' }), {
+      code: 'JOB_NOT_FOUND',
+      statusCode: 404,
+    });
+  }
+});
+
+test('solo el almacén de DynamoDB es compartido entre invocaciones', () => {
+  const dynamo = createDynamoJobStore('jobs-test', {
+    client: createStubDocumentClient(),
+    payloads: createPayloadStorage('payloads-test', 'job-payloads/', createStubS3()),
+  });
+  assert.strictEqual(createMemoryJobStore().shared, false);
+  assert.strictEqual(createFileJobStore(fileStoreDir).shared, false);
+  assert.strictEqual(dynamo.shared, true);
+});
+
+test('dynamodb guarda en S3 la solicitud y el resultado que superan el límite', async () => {
+  const client = createStubDocumentClient();
+  const s3 = createStubS3();
+  const store = createDynamoJobStore('jobs-test', {
+    client,
+    payloads: createPayloadStorage('payloads-test', 'job-payloads/', s3),
+  });
+  const solicitud = { documento: 'x'.repeat(500) };
+  const resultado = { detalle: 'y'.repeat(500) };
+
+  await store.create({ jobId: 'job-2', estado: 'PENDIENTE', solicitud });
+  await store.update('job-2', { estado: 'COMPLETADO', resultado });
+
+  const item = client.items.get('job-2');
+  assert.strictEqual(item.solicitud, undefined);
+  assert.strictEqual(item.resultado, undefined);
+  assert.deepStrictEqual(item.solicitudRef, {
+    bucket: 'payloads-test',
+    key: 'job-payloads/job-2/solicitud.json',
+  });
+  assert.ok(item.expiresAt > Date.now() / 1000);
+  assert.deepStrictEqual([...s3.objects.keys()].sort(), [
+    'payloads-test/job-payloads/job-2/resultado.json',
+    'payloads-test/job-payloads/job-2/solicitud.json',
+  ]);
+
+  const stored = await store.get('job-2');
+  assert.deepStrictEqual(stored.solicitud, solicitud);
+  assert.deepStrictEqual(stored.resultado, resultado);
+  assert.strictEqual(stored.solicitudRef, undefined);
+});
+
+test('dynamodb exige JOB_PAYLOAD_BUCKET para campos grandes', async () => {
+  const store = createDynamoJobStore('jobs-test', {
+    client: createStubDocumentClient(),
+    payloads: createPayloadStorage('', 'job-payloads/', createStubS3()),
+  });
+
+  await assert.rejects(
+    store.create({ jobId: 'job-3', solicitud: { documento: 'x'.repeat(500) } }),
+    { code: 'JOB_STORE_NOT_CONFIGURED' }
+  );
+});
+
+test('dynamodb exige JOB_TABLE_NAME', () => {
+  assert.throws(() => createDynamoJobStore(''), { code: 'JOB_STORE_NOT_CONFIGURED' });
+});
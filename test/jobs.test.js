@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_ENABLED = 'false';
+
+const { getJobStatus } = require('../src/services/jobs');
+const { createMemoryJobStore, setJobStore } = require('../src/services/jobStore');
+
+let store;
+test.beforeEach(() => {
+  store = createMemoryJobStore();
+  setJobStore(store);
+});
+
+function runningJob(jobId, vence) {
+  return store.create({
+    jobId,
+    estado: 'PROCESANDO',
+    creado: '2026-01-01T00:00:00.000Z',
+    actualizado: '2026-01-01T00:00:00.000Z',
+    iniciado: '2026-01-01T00:00:00.000Z',
+    vence,
+  });
+}
+
+test('reporta como ERROR un trabajo en proceso con el plazo vencido', async () => {
+  await runningJob('job-1', new Date(Date.now() - 1000).toISOString());
+
+  const status = await getJobStatus('job-1');
+
+  assert.strictEqual(status.estado, 'ERROR');
+  assert.strictEqual(status.errorCode, 'JOB_TIMEOUT');
+  assert.match(status.error, /^JOB_TIMEOUT: /);
+  assert.strictEqual((await store.get('job-1')).estado, 'PROCESANDO');
+});
+
+test('mantiene en proceso un trabajo dentro de su plazo', async () => {
+  await runningJob('job-2', new Date(Date.now() + 60000).toISOString());
+
+  const status = await getJobStatus('job-2');
+
+  assert.strictEqual(status.estado, 'PROCESANDO');
+  assert.strictEqual(status.errorCode, undefined);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.METRICS_NAMESPACE = 'LambdaTyTTest';
+
+const { putMetric, putMetrics } = require('../src/utils/metrics');
+const { runWithLogContext } = require('../src/utils/logger');
+
+function captureStdout(t, fn) {
+  const lines = [];
+  t.mock.method(process.stdout, 'write', (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  });
+  fn();
+  t.mock.restoreAll();
+  return lines;
+}
+
+test('putMetrics escribe una línea EMF con todas las métricas y dimensiones', (t) => {
+  const lines = captureStdout(t, () =>
+    runWithLogContext({ requestId: 'req-1' }, () =>
+      putMetrics(
+        [
+          { name: 'TextractRequests', value: 1, unit: 'Count' },
+          { name: 'TextractLatency', value: 250, unit: 'Milliseconds' },
+        ],
+        { Method: 'detect', Pages: 2 }
+      )
+    )
+  );
+
+  assert.strictEqual(lines.length, 1);
+  assert.ok(lines[0].endsWith('\n'));
+
+  const entry = JSON.parse(lines[0]);
+  assert.ok(Number.isInteger(entry._aws.Timestamp));
+  assert.deepStrictEqual(entry._aws.CloudWatchMetrics, [
+    {
+      Namespace: 'LambdaTyTTest',
+      Dimensions: [['Method', 'Pages']],
+      Metrics: [
+        { Name: 'TextractRequests', Unit: 'Count' },
+        { Name: 'TextractLatency', Unit: 'Milliseconds' },
+      ],
+    },
+  ]);
+  assert.strictEqual(entry.Method, 'detect');
+  assert.strictEqual(entry.Pages, '2');
+  assert.strictEqual(entry.TextractRequests, 1);
+  assert.strictEqual(entry.TextractLatency, 250);
+  assert.strictEqual(entry.requestId, 'req-1');
+});
+
+test('putMetric usa Count por defecto y no exige dimensiones', (t) => {
+  const lines = captureStdout(t, () => putMetric('JobsSubmitted', 3));
+
+  const entry = JSON.parse(lines[0]);
+  assert.deepStrictEqual(entry._aws.CloudWatchMetrics[0].Dimensions, [[]]);
+  assert.deepStrictEqual(entry._aws.CloudWatchMetrics[0].Metrics, [
+    { Name: 'JobsSubmitted', Unit: 'Count' },
+  ]);
+  assert.strictEqual(entry.JobsSubmitted, 3);
+  assert.strictEqual(entry.requestId, null);
+});
+
+test('putMetrics no escribe nada sin métricas', (t) => {
+  assert.deepStrictEqual(captureStdout(t, () => putMetrics([])), []);
+});
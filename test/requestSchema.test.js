@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { validateApplicant } = require('../src/services/requestSchema');
+
+const APPLICANT = {
+  Numero_de_Documento: '1234567',
+  Nombre_completo: 'Ana Pérez',
+  NivelDeFormacion: 'Profesional',
+  Soporte_prueba_saber_ProTyt: 'https://drive.google.com/file/d/1AbC-_x9/view?usp=sharing',
+  Soporte_Cedula: 'https://drive.google.com/drive/folders/1FoLdEr_2?usp=sharing'
+};
+
+function sourceErrors(field, value) {
+  return validateApplicant({ ...APPLICANT, [field]: value }).filter((error) => error.campo === field);
+}
+
+test('acepta enlaces de Drive con ID y URLs s3:// y https:// bien formadas', () => {
+  assert.deepStrictEqual(validateApplicant(APPLICANT), []);
+  for (const value of [
+    'https://drive.google.com/open?id=1AbC',
+    'https://docs.google.com/document/d/1XyZ/edit',
+    's3://documentos/aspirantes/cedula.pdf',
+    'https://archivos.example.com/cedula.pdf'
+  ]) {
+    assert.deepStrictEqual(sourceErrors('Soporte_Cedula', value), [], value);
+  }
+});
+
+test('rechaza enlaces de Drive sin ID de archivo o carpeta', () => {
+  assert.deepStrictEqual(sourceErrors('Soporte_Cedula', 'https://drive.google.com/drive/u/0/my-drive'), [
+    { campo: 'Soporte_Cedula', mensaje: 'El enlace de Google Drive no contiene el ID de un archivo o carpeta' }
+  ]);
+});
+
+test('rechaza URLs que solo mencionan drive.google.com', () => {
+  const [error] = sourceErrors('Soporte_Cedula', 'https://otro.example.com/?r=drive.google.com/file/d/1AbC');
+  assert.match(error.mensaje, /debe empezar por https:\/\/drive\.google\.com/);
+});
+
+test('rechaza URLs s3:// sin clave', () => {
+  assert.strictEqual(sourceErrors('Soporte_Cedula', 's3://documentos/').length, 1);
+});
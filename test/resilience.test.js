@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_ENABLED = 'false';
+process.env.CALL_TIMEOUT_MS = '100';
+process.env.RETRY_BASE_DELAY_MS = '1';
+
+const { withResilience } = require('../src/utils/resilience');
+const { writeStreamToFile } = require('../src/services/documentSources');
+
+let tempDir;
+test.before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resilience-test-'));
+});
+test.after(() => fs.remove(tempDir));
+
+test('un intento vencido se aborta y no mezcla bytes con el reintento', async () => {
+  const filePath = path.join(tempDir, 'documento.pdf');
+  const streams = [];
+
+  await withResilience('s3-test', (signal) => {
+    const stream = new PassThrough();
+    streams.push(stream);
+    if (streams.length === 1) {
+      stream.write('VIEJO');
+      setTimeout(() => {
+        if (!stream.destroyed) {
+          stream.end('TARDE');
+        }
+      }, 300);
+    } else {
+      setTimeout(() => stream.end('NUEVO'), 10);
+    }
+    return writeStreamToFile(stream, filePath, { signal });
+  });
+  await new Promise((resolve) => setTimeout(resolve, 350));
+
+  assert.strictEqual(streams.length, 2);
+  assert.strictEqual(streams[0].destroyed, true);
+  assert.strictEqual(await fs.readFile(filePath, 'utf8'), 'NUEVO');
+  assert.deepStrictEqual(await fs.readdir(tempDir), ['documento.pdf']);
+});
@@ -0,0 +1,270 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const AWS = require('aws-sdk');
+
+process.env.LOG_LEVEL = 'silent';
+process.env.METRICS_ENABLED = 'false';
+process.env.TEXTRACT_STAGING_BUCKET = 'staging-test';
+process.env.TEXTRACT_POLL_INTERVAL_MS = '1';
+
+const awsCalls = [];
+const responses = {};
+
+function stubOperation(name) {
+  return (params) => ({
+    promise: async () => {
+      awsCalls.push({ name, params });
+      const queue = responses[name] || [];
+      if (queue.length === 0) {
+        throw new Error(`Sin respuesta para ${name}`);
+      }
+      const response = queue.shift();
+      if (response instanceof Error) {
+        throw response;
+      }
+      return response;
+    },
+  });
+}
+
+AWS.Textract = function StubTextract() {
+  return {
+    detectDocumentText: stubOperation('detectDocumentText'),
+    startDocumentTextDetection: stubOperation('startDocumentTextDetection'),
+    getDocumentTextDetection: stubOperation('getDocumentTextDetection'),
+    startDocumentAnalysis: stubOperation('startDocumentAnalysis'),
+    getDocumentAnalysis: stubOperation('getDocumentAnalysis'),
+  };
+};
+AWS.S3 = function StubS3() {
+  return {
+    putObject: stubOperation('putObject'),
+    deleteObject: stubOperation('deleteObject'),
+  };
+};
+
+const { extractTextFromDocument } = require('../src/services/textract');
+
+// Un PDF de dos páginas obliga a usar la API asíncrona.
+const TWO_PAGE_PDF = Buffer.from(
+  '%PDF-1.4\n' +
+    '1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj\n' +
+    '2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj\n' +
+    '3 0 obj << /Type /Page /Parent 2 0 R >> endobj\n' +
+    '4 0 obj << /Type /Page /Parent 2 0 R >> endobj\n' +
+    'trailer << /Root 1 0 R >>\n%%EOF\n',
+  'latin1'
+);
+
+// PDF 1.5 con el árbol de páginas dentro de un object stream comprimido y una
+// tabla xref en stream: en los bytes no aparece ningún /Type /Page.
+function buildObjectStreamPdf(pageCount) {
+  const pageIds = Array.from({ length: pageCount }, (_, index) => index + 3);
+  const objects = [
+    [2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageCount} >>`],
+    ...pageIds.map((id) => [id, '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>']),
+  ];
+  let index = '';
+  let body = '';
+  for (const [id, object] of objects) {
+    index += `${id} ${body.length} `;
+    body += `${object}\n`;
+  }
+  const compressed = zlib.deflateSync(Buffer.from(index + body, 'latin1'));
+
+  const streamId = pageCount + 3;
+  const xrefId = streamId + 1;
+  const catalog = '%PDF-1.5\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n';
+  const beforeXref = Buffer.concat([
+    Buffer.from(
+      `${catalog}${streamId} 0 obj\n<< /Type /ObjStm /N ${objects.length} /First ${index.length} ` +
+        `/Filter /FlateDecode /Length ${compressed.length} >>\nstream\n`,
+      'latin1'
+    ),
+    compressed,
+    Buffer.from('\nendstream\nendobj\n', 'latin1'),
+  ]);
+
+  const entry = (type, field2, field3) => {
+    const bytes = Buffer.alloc(7);
+    bytes[0] = type;
+    bytes.writeUInt32BE(field2, 1);
+    bytes.writeUInt16BE(field3, 5);
+    return bytes;
+  };
+  const xref = Buffer.concat([
+    entry(0, 0, 65535),
+    entry(1, '%PDF-1.5\n'.length, 0),
+    ...objects.map((_, position) => entry(2, streamId, position)),
+    entry(1, catalog.length, 0),
+    entry(1, beforeXref.length, 0),
+  ]);
+
+  return Buffer.concat([
+    beforeXref,
+    Buffer.from(
+      `${xrefId} 0 obj\n<< /Type /XRef /Size ${xrefId + 1} /W [1 4 2] /Root 1 0 R /Length ${xref.length} >>\nstream\n`,
+      'latin1'
+    ),
+    xref,
+    Buffer.from(`\nendstream\nendobj\nstartxref\n${beforeXref.length}\n%%EOF\n`, 'latin1'),
+  ]);
+}
+
+function line(text) {
+  return { BlockType: 'LINE', Text: text, Confidence: 90 };
+}
+
+function word(id, text) {
+  return { Id: id, BlockType: 'WORD', Text: text, Confidence: 90 };
+}
+
+function block(id, type, childIds, extra = {}) {
+  return { Id: id, BlockType: type, Relationships: [{ Type: 'CHILD', Ids: childIds }], ...extra };
+}
+
+let tempDir;
+
+async function writePdf(content) {
+  const filePath = path.join(tempDir, 'documento.pdf');
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+function writeTwoPagePdf() {
+  return writePdf(TWO_PAGE_PDF);
+}
+
+test.before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'textract-test-'));
+});
+
+test.after(() => fs.remove(tempDir));
+
+test.beforeEach(() => {
+  awsCalls.length = 0;
+  for (const name of Object.keys(responses)) {
+    delete responses[name];
+  }
+  responses.putObject = [{}];
+  responses.deleteObject = [{}];
+  responses.startDocumentTextDetection = [{ JobId: 'job-1' }];
+  responses.startDocumentAnalysis = [{ JobId: 'job-1' }];
+});
+
+test('une los bloques de todas las páginas de resultados asíncronos', async () => {
+  responses.getDocumentTextDetection = [
+    { JobStatus: 'IN_PROGRESS' },
+    { JobStatus: 'SUCCEEDED', Blocks: [line('REPUBLICA')], NextToken: 'p2', DocumentMetadata: { Pages: 2 } },
+    { JobStatus: 'SUCCEEDED', Blocks: [line('DE')], NextToken: 'p3' },
+    { JobStatus: 'SUCCEEDED', Blocks: [line('COLOMBIA')] },
+  ];
+
+  const result = await extractTextFromDocument(await writeTwoPagePdf());
+
+  assert.strictEqual(result.text, 'REPUBLICA DE COLOMBIA');
+  assert.strictEqual(result.metadata.extractionMethod, 'startDocumentTextDetection');
+  assert.strictEqual(result.metadata.totalBlocks, 3);
+  assert.deepStrictEqual(result.lines, [
+    { start: 0, end: 9, confidence: 90 },
+    { start: 10, end: 12, confidence: 90 },
+    { start: 13, end: 21, confidence: 90 },
+  ]);
+
+  const pageRequests = awsCalls
+    .filter((call) => call.name === 'getDocumentTextDetection')
+    .map((call) => call.params);
+  assert.deepStrictEqual(pageRequests, [
+    { JobId: 'job-1' },
+    { JobId: 'job-1' },
+    { JobId: 'job-1', NextToken: 'p2' },
+    { JobId: 'job-1', NextToken: 'p3' },
+  ]);
+});
+
+test('elimina el documento temporal de S3 aunque el trabajo falle', async () => {
+  responses.getDocumentTextDetection = [
+    { JobStatus: 'FAILED', StatusMessage: 'Documento ilegible' },
+  ];
+
+  await assert.rejects(extractTextFromDocument(await writeTwoPagePdf()), {
+    code: 'ASYNC_JOB_FAILED',
+  });
+
+  const put = awsCalls.find((call) => call.name === 'putObject');
+  const removed = awsCalls.find((call) => call.name === 'deleteObject');
+  assert.ok(removed, 'no se llamó a deleteObject');
+  assert.deepStrictEqual(removed.params, { Bucket: 'staging-test', Key: put.params.Key });
+});
+
+test('cuenta las páginas de PDF con object streams y usa la API asíncrona', async () => {
+  responses.getDocumentTextDetection = [
+    { JobStatus: 'SUCCEEDED', Blocks: [line('CERTIFICADO'), line('TYT')] },
+  ];
+
+  const result = await extractTextFromDocument(await writePdf(buildObjectStreamPdf(2)));
+
+  assert.strictEqual(result.metadata.extractionMethod, 'startDocumentTextDetection');
+  assert.ok(!awsCalls.some((call) => call.name === 'detectDocumentText'));
+});
+
+test('pasa a la API asíncrona si la síncrona rechaza el documento', async () => {
+  const unsupported = new Error('Request has unsupported document format');
+  unsupported.code = 'UnsupportedDocumentException';
+  responses.detectDocumentText = [unsupported];
+  responses.getDocumentTextDetection = [
+    { JobStatus: 'SUCCEEDED', Blocks: [line('CERTIFICADO')] },
+  ];
+
+  const result = await extractTextFromDocument(await writePdf(buildObjectStreamPdf(1)));
+
+  assert.strictEqual(result.text, 'CERTIFICADO');
+  assert.strictEqual(result.metadata.extractionMethod, 'startDocumentTextDetection');
+  assert.deepStrictEqual(
+    awsCalls.map((call) => call.name),
+    ['detectDocumentText', 'putObject', 'startDocumentTextDetection', 'getDocumentTextDetection', 'deleteObject']
+  );
+});
+
+test('arma formularios y tablas con relaciones entre páginas de resultados', async () => {
+  const key = block('k1', 'KEY_VALUE_SET', ['w1'], { EntityTypes: ['KEY'], Confidence: 95 });
+  key.Relationships.push({ Type: 'VALUE', Ids: ['v1'] });
+  responses.getDocumentAnalysis = [
+    {
+      JobStatus: 'SUCCEEDED',
+      Blocks: [line('Documento 1234567'), key, word('w1', 'Documento'), block('t1', 'TABLE', ['c1', 'c2', 'c3', 'c4'])],
+      NextToken: 'p2',
+    },
+    {
+      JobStatus: 'SUCCEEDED',
+      Blocks: [
+        block('v1', 'KEY_VALUE_SET', ['w2'], { EntityTypes: ['VALUE'] }),
+        word('w2', '1234567'),
+        block('c1', 'CELL', ['w3'], { RowIndex: 1, ColumnIndex: 1 }),
+        block('c2', 'CELL', ['w4'], { RowIndex: 1, ColumnIndex: 2 }),
+        block('c3', 'CELL', ['w5'], { RowIndex: 2, ColumnIndex: 1 }),
+        block('c4', 'CELL', ['w6'], { RowIndex: 2, ColumnIndex: 2 }),
+        word('w3', 'Módulo'),
+        word('w4', 'Puntaje'),
+        word('w5', 'Lectura'),
+        word('w6', '150'),
+      ],
+    },
+  ];
+
+  const result = await extractTextFromDocument(await writeTwoPagePdf(), 'soporte_prueba_saberProtyt');
+
+  assert.strictEqual(result.metadata.extractionMethod, 'startDocumentAnalysis');
+  assert.deepStrictEqual(result.forms, [{ key: 'Documento', value: '1234567', confidence: 95 }]);
+  assert.deepStrictEqual(result.tables.map((table) => table.rows), [
+    [['Módulo', 'Puntaje'], ['Lectura', '150']],
+  ]);
+  assert.deepStrictEqual(
+    awsCalls.filter((call) => call.name === 'getDocumentAnalysis').map((call) => call.params),
+    [{ JobId: 'job-1' }, { JobId: 'job-1', NextToken: 'p2' }]
+  );
+});